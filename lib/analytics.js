@@ -0,0 +1,240 @@
+/**
+ * Lead analytics
+ *
+ * Trends and breakdowns for deciding which cities and verticals to focus
+ * on, built from the lead index summaries and the rotation state's per-pair
+ * stats (lib/schedule.js):
+ *
+ *   - leads added per day or week
+ *   - GA vs FB vs both, overall and per category and city
+ *   - tracker prevalence: of the sites checked, how many had GA or FB
+ *   - website coverage: of the OpenStreetMap matches, how many had a
+ *     website
+ *   - outreach funnel: how far leads got through the status pipeline
+ */
+
+const { LEAD_STATUSES, getLeadStatus } = require('./status');
+const { leadTrackers } = require('./leads');
+const { filterLeads } = require('./query');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const INTERVALS = ['day', 'week'];
+const DEFAULT_PERIODS = { day: 30, week: 26 };
+const MAX_PERIODS = 366;
+
+// Pipeline stages in order; the other statuses take a lead out of it
+const FUNNEL_STAGES = ['new', 'contacted', 'replied', 'qualified', 'won'];
+const EXIT_STATUSES = LEAD_STATUSES.filter(s => !FUNNEL_STAGES.includes(s));
+
+// Lead filters (lib/query.js) that also narrow the rotation stats, which
+// are kept per city/category pair; the others only narrow the leads
+const PAIR_FILTERS = ['category', 'city'];
+const LEAD_ONLY_FILTERS = ['q', 'state', 'tracker', 'status', 'from', 'to', 'changedSince', 'area'];
+
+// Share as a fraction with 3 decimals, or null with nothing to divide by
+const rate = (part, whole) => whole > 0 ? Math.round(part / whole * 1000) / 1000 : null;
+
+// Start of the day or (Monday-based) week containing `time`, as YYYY-MM-DD
+function periodStart(time, interval) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Leads added per period, oldest first
+ *
+ * Returns the last `periods` days or weeks up to `now`, each as
+ * { period (its first day), added }, including periods with none.
+ */
+function leadsAdded(leads, { interval = 'day', periods = DEFAULT_PERIODS[interval], now = Date.now() } = {}) {
+  const step = interval === 'week' ? 7 * DAY : DAY;
+  const last = Date.parse(periodStart(now, interval));
+  const counts = new Map();
+  for (let i = periods - 1; i >= 0; i--) {
+    counts.set(new Date(last - i * step).toISOString().slice(0, 10), 0);
+  }
+
+  for (const lead of leads) {
+    if (!lead.scrapedAt) continue;
+    const period = periodStart(lead.scrapedAt, interval);
+    if (counts.has(period)) counts.set(period, counts.get(period) + 1);
+  }
+  return [...counts].map(([period, added]) => ({ period, added }));
+}
+
+// { leads, ga, fb, both, gaOnly, fbOnly, other } for a group of leads;
+// `other` counts leads with neither GA nor FB (re-checks can remove them)
+function trackerBreakdown(leads) {
+  const counts = { leads: leads.length, ga: 0, fb: 0, both: 0, gaOnly: 0, fbOnly: 0, other: 0 };
+  for (const lead of leads) {
+    const trackers = leadTrackers(lead);
+    const ga = trackers.includes('ga');
+    const fb = trackers.includes('fb');
+    if (ga) counts.ga++;
+    if (fb) counts.fb++;
+    if (ga && fb) counts.both++;
+    else if (ga) counts.gaOnly++;
+    else if (fb) counts.fbOnly++;
+    else counts.other++;
+  }
+  return counts;
+}
+
+// Leads per tracker vendor id, most common first
+function trackerCounts(leads) {
+  const counts = {};
+  for (const lead of leads) {
+    for (const id of leadTrackers(lead)) counts[id] = (counts[id] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tracker, leadCount]) => ({ tracker, leads: leadCount }));
+}
+
+// The "city|category" pair stats matching a parsed lead query's category
+// and city
+function filterPairStats(pairStats, query) {
+  if (!query) return pairStats;
+  return Object.fromEntries(Object.entries(pairStats).filter(([key]) => {
+    const [city, category] = key.toLowerCase().split('|');
+    return (!query.city || city === query.city) && (!query.category || category === query.category);
+  }));
+}
+
+// Rotation stats summed per city or category (the `index` half of the
+// "city|category" key)
+function sumPairStats(pairStats, index) {
+  const sums = new Map();
+  for (const [key, stats] of Object.entries(pairStats || {})) {
+    const name = key.split('|')[index];
+    const sum = sums.get(name) || { runs: 0, found: 0, withWebsite: 0, checked: 0, qualified: 0 };
+    sum.runs += stats.runs || 0;
+    sum.found += stats.totalFound || 0;
+    sum.withWebsite += stats.totalWithWebsite || 0;
+    sum.checked += stats.totalChecked || 0;
+    sum.qualified += stats.totalQualified || 0;
+    sums.set(name, sum);
+  }
+  return sums;
+}
+
+/**
+ * Per-category or per-city rows, most leads first
+ *
+ * Each row has the trackerBreakdown() counts for its leads plus, from the
+ * rotation stats: runs, businessesFound (OpenStreetMap matches),
+ * withWebsite, sitesChecked, sitesWithTracking, websiteCoverage
+ * (withWebsite / businessesFound) and trackerPrevalence
+ * (sitesWithTracking / sitesChecked).
+ */
+function groupStats(leads, pairStats, field) {
+  const groups = new Map();
+  for (const lead of leads) {
+    const name = field === 'city' ? lead.scrapedCity || lead.city || '' : lead.category || '';
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(lead);
+  }
+
+  const sums = sumPairStats(pairStats, field === 'city' ? 0 : 1);
+  const names = new Set([...groups.keys(), ...sums.keys()]);
+  names.delete('');
+
+  return [...names].map(name => {
+    const sum = sums.get(name) || { runs: 0, found: 0, withWebsite: 0, checked: 0, qualified: 0 };
+    return {
+      [field]: name,
+      ...trackerBreakdown(groups.get(name) || []),
+      runs: sum.runs,
+      businessesFound: sum.found,
+      withWebsite: sum.withWebsite,
+      sitesChecked: sum.checked,
+      sitesWithTracking: sum.qualified,
+      websiteCoverage: rate(sum.withWebsite, sum.found),
+      trackerPrevalence: rate(sum.qualified, sum.checked)
+    };
+  }).sort((a, b) => b.leads - a.leads || a[field].localeCompare(b[field]));
+}
+
+/**
+ * How far leads got through the outreach pipeline
+ *
+ * For each FUNNEL_STAGES stage: `current` leads are at it, `reached` are at
+ * it or a later one, and `conversion` is reached / reached at the stage
+ * before. Leads marked lost or do-not-contact are counted under `exits`
+ * only, since the summaries don't say how far they had got.
+ */
+function outreachFunnel(leads) {
+  const current = {};
+  for (const status of LEAD_STATUSES) current[status] = 0;
+  for (const lead of leads) {
+    const status = getLeadStatus(lead);
+    if (status in current) current[status]++;
+  }
+
+  let reached = FUNNEL_STAGES.reduce((sum, stage) => sum + current[stage], 0);
+  let previous = null;
+  const stages = FUNNEL_STAGES.map(stage => {
+    const row = { stage, current: current[stage], reached, conversion: previous === null ? null : rate(reached, previous) };
+    previous = reached;
+    reached -= current[stage];
+    return row;
+  });
+
+  return {
+    stages,
+    exits: EXIT_STATUSES.map(status => ({ status, current: current[status] }))
+  };
+}
+
+/**
+ * Everything the analytics page shows
+ *
+ * `leads` are index summaries (lib/lead-store.js), `state` the rotation
+ * state. Options: interval ('day' or 'week'), periods (how many, up to
+ * MAX_PERIODS), now, and query (a parsed lead query to narrow the leads
+ * with). The query's category and city also narrow the run-based numbers,
+ * and its city matches the city a lead was scraped for (`scrapedCity`,
+ * else `city`, as in leadKey()) on both, since that's what the run stats
+ * are kept by. `runFiltersIgnored` lists the query's other filters, which
+ * the run-based numbers (runs, businesses found, prevalence, coverage)
+ * can't apply.
+ */
+function leadAnalytics(summaries, state = {}, options = {}) {
+  const interval = INTERVALS.includes(options.interval) ? options.interval : 'day';
+  const periods = Math.min(MAX_PERIODS, Math.max(1, parseInt(options.periods, 10) || DEFAULT_PERIODS[interval]));
+  const query = options.query || null;
+  const leads = query
+    ? filterLeads(summaries, { ...query, city: '' })
+      .filter(lead => !query.city || (lead.scrapedCity || lead.city || '').toLowerCase() === query.city)
+    : summaries;
+  const pairStats = filterPairStats(state.stats || {}, query);
+  const cities = groupStats(leads, pairStats, 'city');
+
+  return {
+    generatedAt: new Date(options.now || Date.now()).toISOString(),
+    interval,
+    added: leadsAdded(leads, { interval, periods, now: options.now }),
+    trackers: trackerBreakdown(leads),
+    vendors: trackerCounts(leads),
+    categories: groupStats(leads, pairStats, 'category'),
+    cities,
+    websiteCoverage: rate(
+      cities.reduce((sum, c) => sum + c.withWebsite, 0),
+      cities.reduce((sum, c) => sum + c.businessesFound, 0)
+    ),
+    funnel: outreachFunnel(leads),
+    runFiltersIgnored: query ? LEAD_ONLY_FILTERS.filter(name => query[name]) : []
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  FUNNEL_STAGES,
+  leadsAdded,
+  trackerBreakdown,
+  outreachFunnel,
+  leadAnalytics
+};
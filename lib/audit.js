@@ -0,0 +1,60 @@
+/**
+ * Audit log
+ *
+ * Records who exported leads or changed a lead's status. Each entry is its
+ * own blob keyed by timestamp, so concurrent writers never overwrite each
+ * other and listing the keys returns entries in time order. Functions pass
+ * in their blob store; this module doesn't import @netlify/blobs itself.
+ */
+
+const crypto = require('crypto');
+
+const AUDIT_PREFIX = 'entries/';
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 500;
+
+// Build an entry: { at, user, role, via, action, ...details }
+function auditEntry(user, action, details = {}, now = new Date()) {
+  return {
+    at: now.toISOString(),
+    user: user ? user.name : null,
+    role: user ? user.role : null,
+    via: user ? user.via : null,
+    action,
+    ...details
+  };
+}
+
+// Append an entry. Audit failures are logged, never thrown, so they can't
+// break the request being audited.
+async function writeAudit(store, entry) {
+  const key = `${AUDIT_PREFIX}${entry.at}-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await store.setJSON(key, entry);
+  } catch (error) {
+    console.error(`Audit write failed (${entry.action} by ${entry.user}): ${error.message}`);
+  }
+  return entry;
+}
+
+// Most recent entries first, optionally only those before an ISO timestamp
+async function readAudit(store, options = {}) {
+  const limit = Math.min(MAX_AUDIT_LIMIT, options.limit || DEFAULT_AUDIT_LIMIT);
+  const { blobs } = await store.list({ prefix: AUDIT_PREFIX });
+
+  const keys = blobs
+    .map(blob => blob.key)
+    .filter(key => !options.before || key.slice(AUDIT_PREFIX.length) < options.before)
+    .sort()
+    .reverse()
+    .slice(0, limit);
+
+  const entries = await Promise.all(keys.map(key => store.get(key, { type: 'json' })));
+  return entries.filter(Boolean);
+}
+
+module.exports = {
+  auditEntry,
+  writeAudit,
+  readAudit
+};
@@ -0,0 +1,248 @@
+/**
+ * Dashboard and API authentication
+ *
+ * Accounts and API tokens come from environment variables and are stored
+ * hashed, never in the repo:
+ *
+ *   LEAD_USERS      - "alice:admin:<password hash>,bob:sales:<password hash>"
+ *   LEAD_API_TOKENS - "zapier:viewer:<token hash>,reports:admin:<token hash>"
+ *   SESSION_SECRET  - random string used to sign session cookies
+ *
+ * The role is optional and defaults to viewer. Roles are looked up on every
+ * request, so changing one takes effect without logging out.
+ *
+ * Generate hashes with `node scripts/auth-secret.js`. Browsers log in once
+ * and get a signed, HttpOnly session cookie; scripts send
+ * `Authorization: Bearer <token>`.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'lead_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+// Failed logins allowed per window for one IP + username
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_WINDOW = 15 * 60 * 1000;
+
+const SCRYPT_KEYLEN = 32;
+
+// Roles from least to most access; each role can do everything the ones
+// before it can
+const ROLES = ['viewer', 'sales', 'admin'];
+const DEFAULT_ROLE = 'viewer';
+
+// Minimum role for each action
+const PERMISSIONS = {
+  browse: 'viewer',        // dashboard, stats, paged lead queries
+  updateStatus: 'sales',   // outreach status and notes
+  export: 'admin',         // full JSON / CSV downloads
+  config: 'admin',         // scrape configuration
+  audit: 'admin'           // read the audit log
+};
+
+const b64url = buffer => Buffer.from(buffer).toString('base64url');
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// "scrypt$<salt>$<hash>" for a password
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${b64url(salt)}$${b64url(crypto.scryptSync(password, salt, SCRYPT_KEYLEN))}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64url'), SCRYPT_KEYLEN);
+  return safeEqual(b64url(actual), hash);
+}
+
+// API tokens are long random strings, so a plain SHA-256 is enough
+function hashToken(token) {
+  return `sha256$${crypto.createHash('sha256').update(String(token)).digest('base64url')}`;
+}
+
+function generateToken() {
+  return b64url(crypto.randomBytes(32));
+}
+
+// Parse "name:role:hash,name:hash" into a Map of name => { role, hash }
+function parseCredentials(value) {
+  const entries = new Map();
+  for (const entry of String(value || '').split(',')) {
+    const parts = entry.split(':').map(part => part.trim());
+    if (parts.length < 2 || !parts[0]) continue;
+    const hash = parts.pop();
+    const role = parts.length > 1 ? parts.pop() : DEFAULT_ROLE;
+    if (!ROLES.includes(role)) {
+      console.error(`Ignoring credentials for "${parts[0]}": unknown role "${role}"`);
+      continue;
+    }
+    entries.set(parts[0], { role, hash });
+  }
+  return entries;
+}
+
+function getAuthConfig(env = process.env) {
+  return {
+    users: parseCredentials(env.LEAD_USERS),
+    tokens: parseCredentials(env.LEAD_API_TOKENS),
+    secret: env.SESSION_SECRET || ''
+  };
+}
+
+// The user for a username/password pair, or null
+function checkLogin(username, password, config = getAuthConfig()) {
+  const stored = config.users.get(String(username || ''));
+  // Hash anyway for unknown users so timing doesn't reveal which exist
+  const ok = verifyPassword(password, stored ? stored.hash : 'scrypt$AAAAAAAAAAAAAAAAAAAAAA$x');
+  return stored && ok ? { name: username, role: stored.role, via: 'password' } : null;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function cookieAttributes(maxAgeSeconds) {
+  return `Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAgeSeconds}`;
+}
+
+// Set-Cookie value for a new session
+function createSessionCookie(username, config = getAuthConfig(), now = Date.now()) {
+  if (!config.secret) throw new Error('SESSION_SECRET is not set');
+  const payload = b64url(JSON.stringify({ u: username, exp: now + SESSION_TTL }));
+  return `${SESSION_COOKIE}=${payload}.${sign(payload, config.secret)}; ${cookieAttributes(SESSION_TTL / 1000)}`;
+}
+
+// Set-Cookie value that logs the browser out
+function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; ${cookieAttributes(0)}`;
+}
+
+function readCookie(header, name) {
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return '';
+}
+
+// The session in a Cookie header, or null if missing, forged or expired.
+// Sessions of users removed from LEAD_USERS stop working straight away.
+function readSession(cookieHeader, config = getAuthConfig(), now = Date.now()) {
+  if (!config.secret) return null;
+  const [payload, signature] = readCookie(cookieHeader, SESSION_COOKIE).split('.');
+  if (!payload || !signature || !safeEqual(sign(payload, config.secret), signature)) return null;
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  const stored = session.exp >= now && config.users.get(session.u);
+  return stored ? { name: session.u, role: stored.role, via: 'session' } : null;
+}
+
+// The token owner for an Authorization header, or null
+function readBearerToken(authorization, config = getAuthConfig()) {
+  const match = String(authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) return null;
+  const hash = hashToken(match[1]);
+  for (const [name, stored] of config.tokens) {
+    if (safeEqual(hash, stored.hash)) return { name, role: stored.role, via: 'token' };
+  }
+  return null;
+}
+
+/**
+ * Who is making a request: { name, role, via } or null
+ *
+ * Accepts a session cookie or a bearer token. `req` is a Fetch API Request
+ * (what Netlify functions receive).
+ */
+function authenticate(req, config = getAuthConfig()) {
+  return readSession(req.headers.get('cookie'), config) ||
+    readBearerToken(req.headers.get('authorization'), config);
+}
+
+function hasPermission(user, action) {
+  const needed = PERMISSIONS[action];
+  if (!user || !needed) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(needed);
+}
+
+/**
+ * Authenticate a request and check it may perform `action`
+ *
+ * Returns { user } when allowed, otherwise { user, status, error } with
+ * 401 for no credentials and 403 for a role without the permission.
+ */
+function authorize(req, action, config = getAuthConfig()) {
+  const user = authenticate(req, config);
+  if (!user) return { user: null, status: 401, error: 'Unauthorized' };
+  if (!hasPermission(user, action)) {
+    return { user, status: 403, error: `Forbidden: needs the ${PERMISSIONS[action]} role` };
+  }
+  return { user };
+}
+
+// Shared secret the scheduled function sends to start the background
+// worker, derived from SESSION_SECRET. Null when that isn't set.
+function workerToken(config = getAuthConfig()) {
+  return config.secret ? sign('scrape-worker', config.secret) : null;
+}
+
+function isWorkerRequest(req, config = getAuthConfig()) {
+  const token = workerToken(config);
+  return Boolean(token) && safeEqual(req.headers.get('x-worker-token') || '', token);
+}
+
+/**
+ * Login rate limiting
+ *
+ * `record` is the stored { failures, windowStart } for one IP + username
+ * (or null). loginBlockedFor() returns the ms until another attempt is
+ * allowed (0 = go ahead); recordLoginFailure() returns the updated record.
+ */
+function loginBlockedFor(record, now = Date.now()) {
+  if (!record || now - record.windowStart >= LOGIN_WINDOW) return 0;
+  return record.failures >= LOGIN_MAX_FAILURES ? record.windowStart + LOGIN_WINDOW - now : 0;
+}
+
+function recordLoginFailure(record, now = Date.now()) {
+  if (!record || now - record.windowStart >= LOGIN_WINDOW) {
+    return { failures: 1, windowStart: now };
+  }
+  return { failures: record.failures + 1, windowStart: record.windowStart };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  SESSION_COOKIE,
+  LOGIN_MAX_FAILURES,
+  LOGIN_WINDOW,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken,
+  getAuthConfig,
+  checkLogin,
+  createSessionCookie,
+  clearSessionCookie,
+  readSession,
+  authenticate,
+  hasPermission,
+  authorize,
+  workerToken,
+  isWorkerRequest,
+  loginBlockedFor,
+  recordLoginFailure
+};
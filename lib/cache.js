@@ -0,0 +1,84 @@
+/**
+ * On-disk cache with TTLs
+ *
+ * One JSON file per entry under <dir>/<namespace>/<sha1 of key>.json. Used by
+ * the CLI so re-running the same category/city doesn't re-geocode, re-query
+ * Overpass or re-crawl every website. The Netlify functions don't pass a
+ * cache, so their behavior is unchanged.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Default TTL per namespace
+const CACHE_TTLS = {
+  geocode: 30 * DAY,
+  overpass: DAY,
+  site: 7 * DAY
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Create a cache
+ *
+ * Options:
+ *   dir     - cache directory (required)
+ *   refresh - skip reads but still write, so the next run is warm
+ *   ttls    - per-namespace TTL overrides in ms
+ */
+function createCache(options) {
+  const dir = options.dir;
+  const ttls = { ...CACHE_TTLS, ...options.ttls };
+
+  const fileFor = (namespace, key) => path.join(dir, namespace, `${hashKey(key)}.json`);
+
+  return {
+    get(namespace, key) {
+      if (options.refresh) return undefined;
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(namespace, key), 'utf8'));
+        if (entry.key !== key || entry.expiresAt < Date.now()) return undefined;
+        return entry.value;
+      } catch {
+        return undefined;
+      }
+    },
+
+    set(namespace, key, value, ttl = ttls[namespace] || DAY) {
+      const file = fileFor(namespace, key);
+      const now = Date.now();
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({ key, storedAt: now, expiresAt: now + ttl, value }));
+      } catch {
+        // A cache that can't be written is just a slower run
+      }
+    }
+  };
+}
+
+// Fetch-through helper: return the cached value or compute and store it.
+// `shouldStore(value)` lets callers skip caching failures.
+async function cached(cache, namespace, key, compute, shouldStore = () => true) {
+  if (!cache) return compute();
+
+  const hit = cache.get(namespace, key);
+  if (hit !== undefined) return hit;
+
+  const value = await compute();
+  if (shouldStore(value)) cache.set(namespace, key, value);
+  return value;
+}
+
+module.exports = {
+  CACHE_TTLS,
+  createCache,
+  cached
+};
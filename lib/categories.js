@@ -0,0 +1,65 @@
+/**
+ * Business categories and their OpenStreetMap tags
+ */
+
+// Canonical categories (also the scheduled job's default rotation)
+const CATEGORY_TAGS = {
+  'dentist': ['amenity=dentist'],
+  'lawyer': ['office=lawyer'],
+  'doctor': ['amenity=doctors', 'amenity=clinic', 'healthcare=doctor'],
+  'accountant': ['office=accountant'],
+  'therapist': ['healthcare=psychotherapist', 'healthcare=counselling'],
+  'chiropractor': ['healthcare=chiropractor'],
+  'insurance': ['office=insurance'],
+  'real_estate': ['office=estate_agent'],
+  'financial': ['office=financial', 'office=financial_advisor'],
+  'clinic': ['amenity=clinic', 'healthcare=clinic'],
+  'pharmacy': ['amenity=pharmacy'],
+  'veterinary': ['amenity=veterinary'],
+  'optometrist': ['healthcare=optometrist'],
+  'psychologist': ['healthcare=psychologist']
+};
+
+// User-friendly names that map to something other than a canonical category
+const CATEGORY_ALIASES = {
+  'dentists': ['amenity=dentist'],
+  'dental': ['amenity=dentist'],
+
+  'lawyers': ['office=lawyer'],
+  'attorney': ['office=lawyer'],
+  'law': ['office=lawyer'],
+
+  'doctors': ['amenity=doctors', 'amenity=clinic', 'healthcare=doctor'],
+  'physician': ['amenity=doctors', 'healthcare=doctor'],
+  'medical': ['amenity=doctors', 'amenity=clinic'],
+
+  'accountants': ['office=accountant'],
+  'cpa': ['office=accountant'],
+
+  'therapists': ['healthcare=psychotherapist', 'healthcare=counselling'],
+  'counselor': ['healthcare=counselling'],
+
+  'chiropractors': ['healthcare=chiropractor'],
+  'chiro': ['healthcare=chiropractor'],
+
+  'real estate': ['office=estate_agent'],
+  'realtor': ['office=estate_agent'],
+
+  'financial advisor': ['office=financial_advisor'],
+
+  'vet': ['amenity=veterinary']
+};
+
+const CATEGORIES = Object.keys(CATEGORY_TAGS);
+
+// Map a category name to OSM tags, falling back to a name search
+function getCategoryTags(category) {
+  const key = category.toLowerCase();
+  return CATEGORY_TAGS[key] || CATEGORY_ALIASES[key] || [`name~"${category}",i`];
+}
+
+module.exports = {
+  CATEGORY_TAGS,
+  CATEGORIES,
+  getCategoryTags
+};
@@ -0,0 +1,188 @@
+/**
+ * City lookup tables
+ *
+ * US_CITIES is the instant-lookup table used for geocoding without hitting
+ * Nominatim. ROTATION_CITIES is the subset the scheduled Netlify job cycles
+ * through.
+ */
+
+// Common US cities with coordinates (fallback if geocoding fails)
+const US_CITIES = {
+  'los angeles': { lat: 34.0522, lon: -118.2437, name: 'Los Angeles, CA' },
+  'new york': { lat: 40.7128, lon: -74.0060, name: 'New York, NY' },
+  'chicago': { lat: 41.8781, lon: -87.6298, name: 'Chicago, IL' },
+  'houston': { lat: 29.7604, lon: -95.3698, name: 'Houston, TX' },
+  'phoenix': { lat: 33.4484, lon: -112.0740, name: 'Phoenix, AZ' },
+  'philadelphia': { lat: 39.9526, lon: -75.1652, name: 'Philadelphia, PA' },
+  'san antonio': { lat: 29.4241, lon: -98.4936, name: 'San Antonio, TX' },
+  'san diego': { lat: 32.7157, lon: -117.1611, name: 'San Diego, CA' },
+  'dallas': { lat: 32.7767, lon: -96.7970, name: 'Dallas, TX' },
+  'san jose': { lat: 37.3382, lon: -121.8863, name: 'San Jose, CA' },
+  'austin': { lat: 30.2672, lon: -97.7431, name: 'Austin, TX' },
+  'jacksonville': { lat: 30.3322, lon: -81.6557, name: 'Jacksonville, FL' },
+  'san francisco': { lat: 37.7749, lon: -122.4194, name: 'San Francisco, CA' },
+  'columbus': { lat: 39.9612, lon: -82.9988, name: 'Columbus, OH' },
+  'fort worth': { lat: 32.7555, lon: -97.3308, name: 'Fort Worth, TX' },
+  'indianapolis': { lat: 39.7684, lon: -86.1581, name: 'Indianapolis, IN' },
+  'charlotte': { lat: 35.2271, lon: -80.8431, name: 'Charlotte, NC' },
+  'seattle': { lat: 47.6062, lon: -122.3321, name: 'Seattle, WA' },
+  'denver': { lat: 39.7392, lon: -104.9903, name: 'Denver, CO' },
+  'washington': { lat: 38.9072, lon: -77.0369, name: 'Washington, DC' },
+  'boston': { lat: 42.3601, lon: -71.0589, name: 'Boston, MA' },
+  'nashville': { lat: 36.1627, lon: -86.7816, name: 'Nashville, TN' },
+  'detroit': { lat: 42.3314, lon: -83.0458, name: 'Detroit, MI' },
+  'portland': { lat: 45.5152, lon: -122.6784, name: 'Portland, OR' },
+  'las vegas': { lat: 36.1699, lon: -115.1398, name: 'Las Vegas, NV' },
+  'memphis': { lat: 35.1495, lon: -90.0490, name: 'Memphis, TN' },
+  'louisville': { lat: 38.2527, lon: -85.7585, name: 'Louisville, KY' },
+  'baltimore': { lat: 39.2904, lon: -76.6122, name: 'Baltimore, MD' },
+  'milwaukee': { lat: 43.0389, lon: -87.9065, name: 'Milwaukee, WI' },
+  'albuquerque': { lat: 35.0844, lon: -106.6504, name: 'Albuquerque, NM' },
+  'tucson': { lat: 32.2226, lon: -110.9747, name: 'Tucson, AZ' },
+  'fresno': { lat: 36.7378, lon: -119.7871, name: 'Fresno, CA' },
+  'sacramento': { lat: 38.5816, lon: -121.4944, name: 'Sacramento, CA' },
+  'atlanta': { lat: 33.7490, lon: -84.3880, name: 'Atlanta, GA' },
+  'miami': { lat: 25.7617, lon: -80.1918, name: 'Miami, FL' },
+  'oakland': { lat: 37.8044, lon: -122.2712, name: 'Oakland, CA' },
+  'minneapolis': { lat: 44.9778, lon: -93.2650, name: 'Minneapolis, MN' },
+  'cleveland': { lat: 41.4993, lon: -81.6944, name: 'Cleveland, OH' },
+  'raleigh': { lat: 35.7796, lon: -78.6382, name: 'Raleigh, NC' },
+  'tampa': { lat: 27.9506, lon: -82.4572, name: 'Tampa, FL' },
+  'orlando': { lat: 28.5383, lon: -81.3792, name: 'Orlando, FL' },
+  'pittsburgh': { lat: 40.4406, lon: -79.9959, name: 'Pittsburgh, PA' },
+  'cincinnati': { lat: 39.1031, lon: -84.5120, name: 'Cincinnati, OH' },
+  'st louis': { lat: 38.6270, lon: -90.1994, name: 'St. Louis, MO' },
+  'salt lake city': { lat: 40.7608, lon: -111.8910, name: 'Salt Lake City, UT' },
+
+  // Sacramento area / Northern California
+  'roseville': { lat: 38.7521, lon: -121.2880, name: 'Roseville, CA' },
+  'folsom': { lat: 38.6780, lon: -121.1761, name: 'Folsom, CA' },
+  'elk grove': { lat: 38.4088, lon: -121.3716, name: 'Elk Grove, CA' },
+  'rocklin': { lat: 38.7907, lon: -121.2358, name: 'Rocklin, CA' },
+  'citrus heights': { lat: 38.7071, lon: -121.2811, name: 'Citrus Heights, CA' },
+  'rancho cordova': { lat: 38.5891, lon: -121.3028, name: 'Rancho Cordova, CA' },
+  'davis': { lat: 38.5449, lon: -121.7405, name: 'Davis, CA' },
+  'woodland': { lat: 38.6785, lon: -121.7733, name: 'Woodland, CA' },
+  'vacaville': { lat: 38.3566, lon: -121.9877, name: 'Vacaville, CA' },
+  'fairfield': { lat: 38.2494, lon: -122.0400, name: 'Fairfield, CA' },
+  'vallejo': { lat: 38.1041, lon: -122.2566, name: 'Vallejo, CA' },
+  'napa': { lat: 38.2975, lon: -122.2869, name: 'Napa, CA' },
+  'santa rosa': { lat: 38.4404, lon: -122.7141, name: 'Santa Rosa, CA' },
+  'stockton': { lat: 37.9577, lon: -121.2908, name: 'Stockton, CA' },
+  'modesto': { lat: 37.6391, lon: -120.9969, name: 'Modesto, CA' },
+
+  // Bay Area
+  'berkeley': { lat: 37.8716, lon: -122.2727, name: 'Berkeley, CA' },
+  'fremont': { lat: 37.5485, lon: -121.9886, name: 'Fremont, CA' },
+  'hayward': { lat: 37.6688, lon: -122.0808, name: 'Hayward, CA' },
+  'sunnyvale': { lat: 37.3688, lon: -122.0363, name: 'Sunnyvale, CA' },
+  'santa clara': { lat: 37.3541, lon: -121.9552, name: 'Santa Clara, CA' },
+  'mountain view': { lat: 37.3861, lon: -122.0839, name: 'Mountain View, CA' },
+  'palo alto': { lat: 37.4419, lon: -122.1430, name: 'Palo Alto, CA' },
+  'redwood city': { lat: 37.4852, lon: -122.2364, name: 'Redwood City, CA' },
+  'san mateo': { lat: 37.5630, lon: -122.3255, name: 'San Mateo, CA' },
+  'daly city': { lat: 37.6879, lon: -122.4702, name: 'Daly City, CA' },
+  'concord': { lat: 37.9780, lon: -122.0311, name: 'Concord, CA' },
+  'walnut creek': { lat: 37.9101, lon: -122.0652, name: 'Walnut Creek, CA' },
+  'richmond': { lat: 37.9358, lon: -122.3478, name: 'Richmond, CA' },
+  'antioch': { lat: 38.0049, lon: -121.8058, name: 'Antioch, CA' },
+  'pleasanton': { lat: 37.6624, lon: -121.8747, name: 'Pleasanton, CA' },
+  'livermore': { lat: 37.6819, lon: -121.7680, name: 'Livermore, CA' },
+
+  // Southern California
+  'long beach': { lat: 33.7701, lon: -118.1937, name: 'Long Beach, CA' },
+  'anaheim': { lat: 33.8366, lon: -117.9143, name: 'Anaheim, CA' },
+  'santa ana': { lat: 33.7455, lon: -117.8677, name: 'Santa Ana, CA' },
+  'irvine': { lat: 33.6846, lon: -117.8265, name: 'Irvine, CA' },
+  'huntington beach': { lat: 33.6595, lon: -117.9988, name: 'Huntington Beach, CA' },
+  'glendale': { lat: 34.1425, lon: -118.2551, name: 'Glendale, CA' },
+  'pasadena': { lat: 34.1478, lon: -118.1445, name: 'Pasadena, CA' },
+  'torrance': { lat: 33.8358, lon: -118.3406, name: 'Torrance, CA' },
+  'pomona': { lat: 34.0551, lon: -117.7500, name: 'Pomona, CA' },
+  'ontario': { lat: 34.0633, lon: -117.6509, name: 'Ontario, CA' },
+  'rancho cucamonga': { lat: 34.1064, lon: -117.5931, name: 'Rancho Cucamonga, CA' },
+  'riverside': { lat: 33.9533, lon: -117.3962, name: 'Riverside, CA' },
+  'corona': { lat: 33.8753, lon: -117.5664, name: 'Corona, CA' },
+  'moreno valley': { lat: 33.9425, lon: -117.2297, name: 'Moreno Valley, CA' },
+  'fontana': { lat: 34.0922, lon: -117.4350, name: 'Fontana, CA' },
+  'san bernardino': { lat: 34.1083, lon: -117.2898, name: 'San Bernardino, CA' },
+  'santa monica': { lat: 34.0195, lon: -118.4912, name: 'Santa Monica, CA' },
+  'burbank': { lat: 34.1808, lon: -118.3090, name: 'Burbank, CA' },
+  'costa mesa': { lat: 33.6411, lon: -117.9187, name: 'Costa Mesa, CA' },
+  'newport beach': { lat: 33.6189, lon: -117.9289, name: 'Newport Beach, CA' },
+  'fullerton': { lat: 33.8703, lon: -117.9242, name: 'Fullerton, CA' },
+  'orange': { lat: 33.7879, lon: -117.8531, name: 'Orange, CA' },
+  'oceanside': { lat: 33.1959, lon: -117.3795, name: 'Oceanside, CA' },
+  'carlsbad': { lat: 33.1581, lon: -117.3506, name: 'Carlsbad, CA' },
+  'escondido': { lat: 33.1192, lon: -117.0864, name: 'Escondido, CA' },
+  'temecula': { lat: 33.4936, lon: -117.1484, name: 'Temecula, CA' },
+  'murrieta': { lat: 33.5539, lon: -117.2139, name: 'Murrieta, CA' },
+  'santa barbara': { lat: 34.4208, lon: -119.6982, name: 'Santa Barbara, CA' },
+  'ventura': { lat: 34.2805, lon: -119.2945, name: 'Ventura, CA' },
+  'oxnard': { lat: 34.1975, lon: -119.1771, name: 'Oxnard, CA' },
+  'thousand oaks': { lat: 34.1706, lon: -118.8376, name: 'Thousand Oaks, CA' },
+  'simi valley': { lat: 34.2694, lon: -118.7815, name: 'Simi Valley, CA' },
+  'bakersfield': { lat: 35.3733, lon: -119.0187, name: 'Bakersfield, CA' },
+  'visalia': { lat: 36.3302, lon: -119.2921, name: 'Visalia, CA' },
+
+  // Central Coast
+  'san luis obispo': { lat: 35.2828, lon: -120.6596, name: 'San Luis Obispo, CA' },
+  'santa cruz': { lat: 36.9741, lon: -122.0308, name: 'Santa Cruz, CA' },
+  'monterey': { lat: 36.6002, lon: -121.8947, name: 'Monterey, CA' },
+  'salinas': { lat: 36.6777, lon: -121.6555, name: 'Salinas, CA' }
+};
+
+// Alternate spellings that should resolve to a US_CITIES key
+const CITY_ALIASES = {
+  'washington dc': 'washington',
+  'st. louis': 'st louis'
+};
+
+// The scheduled job's default rotation cities. Names are kept exactly as they
+// were first stored, since saved leads are deduped on scrapedCity.
+const ROTATION_CITY_NAMES = [
+  // Major US metros
+  'Los Angeles', 'New York', 'Chicago', 'Houston', 'Phoenix',
+  'Philadelphia', 'San Antonio', 'San Diego', 'Dallas', 'San Jose',
+  'Austin', 'Jacksonville', 'San Francisco', 'Columbus', 'Fort Worth',
+  'Indianapolis', 'Charlotte', 'Seattle', 'Denver', 'Washington DC',
+  'Boston', 'Nashville', 'Detroit', 'Portland', 'Las Vegas',
+  'Memphis', 'Louisville', 'Baltimore', 'Milwaukee', 'Albuquerque',
+  'Tucson', 'Fresno', 'Sacramento', 'Atlanta', 'Miami',
+  'Oakland', 'Minneapolis', 'Cleveland', 'Raleigh', 'Tampa',
+  'Orlando', 'Pittsburgh', 'Cincinnati', 'St Louis', 'Salt Lake City',
+  // California cities
+  'Roseville', 'Irvine', 'Santa Barbara', 'Pasadena', 'Bakersfield'
+];
+
+// Exact lookup by city name or alias
+function getCity(name) {
+  const key = name.toLowerCase().trim();
+  return US_CITIES[key] || US_CITIES[CITY_ALIASES[key]] || null;
+}
+
+// Loose lookup: first known city contained in a free-form location string
+function findCity(location) {
+  const exact = getCity(location);
+  if (exact) return exact;
+
+  const locationLower = location.toLowerCase();
+  for (const [city, coords] of Object.entries(US_CITIES)) {
+    if (locationLower.includes(city)) {
+      return coords;
+    }
+  }
+  return null;
+}
+
+const ROTATION_CITIES = ROTATION_CITY_NAMES.map(name => {
+  const city = getCity(name);
+  return { name, lat: city.lat, lon: city.lon };
+});
+
+module.exports = {
+  US_CITIES,
+  ROTATION_CITIES,
+  getCity,
+  findCity
+};
@@ -0,0 +1,205 @@
+/**
+ * Contact details found on crawled pages
+ *
+ * Every value records the page it came from and how it was found (`source`),
+ * so a lead's email can be traced back to the site:
+ *
+ *   jsonld     - schema.org LocalBusiness/Organization JSON-LD
+ *   mailto/tel - mailto: and tel: links
+ *   obfuscated - "name [at] domain [dot] com" style text
+ *   text       - a plain address in the page text
+ *   link       - a social profile link
+ *   form       - a page with a contact form
+ */
+
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i;
+
+// Addresses that look like emails but never are worth contacting
+const JUNK_EMAIL = /\.(?:png|jpe?g|gif|svg|webp|css|js)$|@(?:example\.(?:com|org)|domain\.com|email\.com|sentry[a-z.-]*|wixpress\.com)$|^(?:no-?reply|donotreply)@/i;
+
+const SOCIAL_NETWORKS = {
+  facebook: /^https?:\/\/(?:www\.|m\.)?facebook\.com\/(?!sharer|share\.php|tr\b|plugins|dialog)[^"'\s?#]+/i,
+  instagram: /^https?:\/\/(?:www\.)?instagram\.com\/[^"'\s?#]+/i,
+  linkedin: /^https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/(?:company|in)\/[^"'\s?#]+/i,
+  twitter: /^https?:\/\/(?:www\.)?(?:twitter|x)\.com\/(?!intent|share)[^"'\s?#]+/i,
+  youtube: /^https?:\/\/(?:www\.)?youtube\.com\/(?:channel|c|user|@)[^"'\s?#]*/i,
+  yelp: /^https?:\/\/(?:www\.)?yelp\.com\/biz\/[^"'\s?#]+/i,
+  tiktok: /^https?:\/\/(?:www\.)?tiktok\.com\/@[^"'\s?#]+/i
+};
+
+// schema.org types treated as "the business"
+const BUSINESS_TYPES = /LocalBusiness|Organization|Dentist|Physician|MedicalBusiness|MedicalClinic|LegalService|Attorney|AccountingService|ProfessionalService|FinancialService|InsuranceAgency|RealEstateAgent|Optician|VeterinaryCare|Pharmacy/i;
+
+// Decode the handful of HTML entities that show up inside hrefs
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+function safeDecode(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+function cleanEmail(value) {
+  const email = value.trim().toLowerCase().replace(/^mailto:/, '');
+  return EMAIL_PATTERN.test(email) && !JUNK_EMAIL.test(email) ? email : null;
+}
+
+// Page text with tags, scripts and styles stripped
+function visibleText(html) {
+  return decodeEntities(html
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '));
+}
+
+// Flatten JSON-LD blocks (including @graph) into a list of nodes
+function jsonLdNodes(html) {
+  const nodes = [];
+  for (const match of html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch {
+      continue;
+    }
+    const stack = Array.isArray(data) ? [...data] : [data];
+    while (stack.length > 0) {
+      const node = stack.shift();
+      if (!node || typeof node !== 'object') continue;
+      nodes.push(node);
+      if (Array.isArray(node['@graph'])) stack.push(...node['@graph']);
+    }
+  }
+  return nodes;
+}
+
+function asList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Emails, phones and social profiles declared in schema.org markup
+function extractJsonLd(html, pageUrl, found) {
+  for (const node of jsonLdNodes(html)) {
+    const types = asList(node['@type']).join(' ');
+    if (!BUSINESS_TYPES.test(types)) continue;
+
+    const contactPoints = asList(node.contactPoint);
+    for (const email of [...asList(node.email), ...contactPoints.map(c => c && c.email)]) {
+      const value = typeof email === 'string' && cleanEmail(email);
+      if (value) found.emails.push({ value, source: 'jsonld', page: pageUrl });
+    }
+    for (const phone of [...asList(node.telephone), ...contactPoints.map(c => c && c.telephone)]) {
+      if (typeof phone === 'string' && phone.replace(/\D/g, '').length >= 7) {
+        found.phones.push({ value: phone.trim(), source: 'jsonld', page: pageUrl });
+      }
+    }
+    for (const url of asList(node.sameAs)) {
+      const network = typeof url === 'string' && socialNetwork(url);
+      if (network) found.socials.push({ network, value: url, source: 'jsonld', page: pageUrl });
+    }
+  }
+}
+
+// "name [at] domain [dot] com", "name(at)domain.com", "name at domain dot com".
+// A bare " at " only counts when the dot is spelled out too, otherwise
+// "visit us at example.com" would read as an address.
+const OBFUSCATED_PATTERNS = [
+  /\b([a-z0-9._%+-]+)\s*(?:\[at\]|\(at\)|\{at\})\s*([a-z0-9-]+(?:\s*(?:\[dot\]|\(dot\)|\{dot\}|\.)\s*[a-z0-9-]+)+)/gi,
+  /\b([a-z0-9._%+-]+)\s+at\s+([a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/gi
+];
+
+function extractObfuscated(text, pageUrl, found) {
+  for (const pattern of OBFUSCATED_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const domain = match[2].replace(/\s*(?:\[dot\]|\(dot\)|\{dot\}|\.|\s+dot\s+)\s*/gi, '.');
+      const value = cleanEmail(`${match[1]}@${domain}`);
+      if (value) found.emails.push({ value, source: 'obfuscated', page: pageUrl });
+    }
+  }
+}
+
+function socialNetwork(url) {
+  for (const [network, pattern] of Object.entries(SOCIAL_NETWORKS)) {
+    if (pattern.test(url)) return network;
+  }
+  return null;
+}
+
+// A form that asks for an email or message is treated as a contact form
+function hasContactForm(html) {
+  for (const match of html.matchAll(/<form[\s\S]*?<\/form>/gi)) {
+    const form = match[0];
+    if (/type=["']search["']|role=["']search["']/i.test(form)) continue;
+    if (/type=["']email["']|name=["'][^"']*(?:email|message)[^"']*["']|<textarea/i.test(form)) {
+      return true;
+    }
+  }
+  // Embedded form builders (Wufoo, JotForm, HubSpot, Gravity Forms, ...)
+  return /hsforms\.net|jotform\.com|wufoo\.com|gform_wrapper|wpcf7-form|formstack\.com/i.test(html);
+}
+
+// Extract contact details from one page
+function extractContacts(html, pageUrl) {
+  const found = { emails: [], phones: [], socials: [], forms: [] };
+
+  extractJsonLd(html, pageUrl, found);
+
+  for (const match of html.matchAll(/href\s*=\s*["']mailto:([^"'?]+)/gi)) {
+    const value = cleanEmail(safeDecode(decodeEntities(match[1])));
+    if (value) found.emails.push({ value, source: 'mailto', page: pageUrl });
+  }
+
+  for (const match of html.matchAll(/href\s*=\s*["']tel:([^"']+)/gi)) {
+    const value = safeDecode(decodeEntities(match[1])).trim();
+    if (value.replace(/\D/g, '').length >= 7) {
+      found.phones.push({ value, source: 'tel', page: pageUrl });
+    }
+  }
+
+  const text = visibleText(html);
+  extractObfuscated(text, pageUrl, found);
+  for (const match of text.matchAll(/\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/gi)) {
+    const value = cleanEmail(match[0]);
+    if (value) found.emails.push({ value, source: 'text', page: pageUrl });
+  }
+
+  for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*["'](https?:\/\/[^"']+)["']/gi)) {
+    const url = decodeEntities(match[1]);
+    const network = socialNetwork(url);
+    if (network) found.socials.push({ network, value: url, source: 'link', page: pageUrl });
+  }
+
+  if (hasContactForm(html)) {
+    found.forms.push({ value: pageUrl, source: 'form', page: pageUrl });
+  }
+
+  return found;
+}
+
+// Merge contact findings from several pages, keeping the first source of each value
+function mergeContacts(found) {
+  const merged = { emails: [], phones: [], socials: [], forms: [] };
+  for (const contacts of found) {
+    for (const field of Object.keys(merged)) {
+      for (const item of contacts[field] || []) {
+        if (!merged[field].some(existing => existing.value === item.value)) {
+          merged[field].push(item);
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  extractContacts,
+  mergeContacts
+};
@@ -0,0 +1,158 @@
+/**
+ * Bounded same-site crawler
+ *
+ * Starts at the homepage and follows same-site links breadth-first until the
+ * page budget or depth limit is hit. Links whose path looks like a contact,
+ * about or booking page are visited first, since that is where practices
+ * tend to load their tag managers and list an email address.
+ */
+
+const { fetch, isSuccess } = require('./http');
+const { createRateLimiter } = require('./throttle');
+
+const DEFAULT_KEYWORDS = [
+  'contact', 'about', 'book', 'appointment', 'schedule', 'request', 'location', 'team'
+];
+
+// Body cap per page; tags we look for live in the first few hundred KB
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// Links to files we never want to download
+const SKIP_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|svg|webp|ico|css|js|xml|zip|docx?|xlsx?|mp4|mp3|mov)(?:$|\?)/i;
+
+// Hostname without a leading www., for same-site comparisons
+function siteHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+// Pull absolute, same-site, crawlable links out of a page
+function extractLinks(html, pageUrl) {
+  const base = new URL(pageUrl);
+  const links = [];
+  const seen = new Set();
+
+  for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*["']([^"']+)["']/gi)) {
+    const href = match[1].trim();
+    if (/^(?:mailto:|tel:|javascript:|#)/i.test(href)) continue;
+
+    let url;
+    try {
+      url = new URL(href, base);
+    } catch {
+      continue;
+    }
+
+    if (!/^https?:$/.test(url.protocol)) continue;
+    if (siteHost(url.hostname) !== siteHost(base.hostname)) continue;
+    if (SKIP_EXTENSIONS.test(url.pathname)) continue;
+
+    url.hash = '';
+    const key = url.href.replace(/\/$/, '');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    links.push(url.href);
+  }
+
+  return links;
+}
+
+// Keyword links first (in keyword order), then everything else in page order
+function prioritizeLinks(links, keywords) {
+  const score = link => {
+    const path = new URL(link).pathname.toLowerCase();
+    const index = keywords.findIndex(k => path.includes(k));
+    return index === -1 ? keywords.length : index;
+  };
+  return links
+    .map((link, order) => ({ link, order, score: score(link) }))
+    .sort((a, b) => a.score - b.score || a.order - b.order)
+    .map(l => l.link);
+}
+
+/**
+ * Crawl a site
+ *
+ * Returns { pages, errors }. pages are
+ * [{ url, requestedUrl, depth, status, redirects, html }] for every page that
+ * answered 2xx, where `url` is the final URL after redirects; links are
+ * resolved against that. errors are [{ url, error, status?, redirects? }].
+ * The homepage is always pages[0] when it loaded, and same-site means same
+ * site as wherever the homepage redirected to.
+ *
+ * Options:
+ *   maxPages  - total page budget including the homepage (default 4)
+ *   maxDepth  - link hops from the homepage (default 1)
+ *   keywords  - path fragments to visit first
+ *   limiter   - shared rate limiter (lib/throttle.js); without one, pages
+ *               are spaced `pageDelay` ms apart (default 250)
+ *   timeout, maxRedirects, maxBytes - passed to fetch()
+ */
+async function crawlSite(startUrl, options = {}) {
+  const maxPages = options.maxPages || 4;
+  const maxDepth = options.maxDepth === undefined ? 1 : options.maxDepth;
+  const keywords = options.keywords || DEFAULT_KEYWORDS;
+  const limiter = options.limiter || createRateLimiter({
+    perHostInterval: options.pageDelay === undefined ? 250 : options.pageDelay
+  });
+
+  const pages = [];
+  const errors = [];
+  const queued = new Set([startUrl.replace(/\/$/, '')]);
+  const queue = [{ url: startUrl, depth: 0 }];
+  const fetched = new Set();
+
+  while (queue.length > 0 && pages.length + errors.length < maxPages) {
+    const { url, depth } = queue.shift();
+    await limiter.acquire(new URL(url).hostname);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        accept: 'text/html,application/xhtml+xml',
+        timeout: options.timeout,
+        maxRedirects: options.maxRedirects,
+        maxBytes: options.maxBytes || MAX_PAGE_BYTES
+      });
+    } catch (error) {
+      errors.push({ url, error: error.message });
+      continue;
+    }
+
+    if (!isSuccess(response.status)) {
+      errors.push({ url, error: `HTTP ${response.status}`, status: response.status, redirects: response.redirects });
+      continue;
+    }
+
+    // Redirects can land on a page we already have (e.g. /contact -> /contact-us/)
+    const finalKey = response.url.replace(/\/$/, '');
+    if (depth > 0 && fetched.has(finalKey)) continue;
+    fetched.add(finalKey);
+    queued.add(finalKey);
+
+    pages.push({
+      url: response.url,
+      requestedUrl: url,
+      depth,
+      status: response.status,
+      redirects: response.redirects,
+      html: response.body
+    });
+
+    if (depth >= maxDepth) continue;
+
+    for (const link of prioritizeLinks(extractLinks(response.body, response.url), keywords)) {
+      const key = link.replace(/\/$/, '');
+      if (queued.has(key)) continue;
+      queued.add(key);
+      queue.push({ url: link, depth: depth + 1 });
+    }
+  }
+
+  return { pages, errors };
+}
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  extractLinks,
+  crawlSite
+};
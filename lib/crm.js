@@ -0,0 +1,270 @@
+/**
+ * CRM export profiles and push
+ *
+ * A profile maps lead fields onto one CRM's import template, so a download
+ * can go straight into HubSpot, Pipedrive or Salesforce without mapping
+ * columns by hand. Each field has a CSV header (as in the CRM's import
+ * wizard) and an API name (for JSON and push):
+ *
+ *   [csvHeader, apiName, (lead, options) => value]
+ *
+ * Options are { owner } (a CRM user id or email put in the owner field).
+ * Outreach status becomes the CRM's lifecycle stage / lead status.
+ *
+ * pushLeads() upserts leads into a CRM-style REST endpoint, matching
+ * records by website domain (see README "CRM Export").
+ */
+
+const { fetch, isSuccess } = require('./http');
+const { withRetry } = require('./retry');
+const { mapPool } = require('./throttle');
+const { websiteDomain, leadTrackers } = require('./leads');
+const { getLeadStatus } = require('./status');
+
+const POSTCODE = /^\d{5}(-\d{4})?$/;
+
+/**
+ * Street, city, state, postal code and country for a lead
+ *
+ * Leads scraped since `street`/`postcode` were stored have them as fields.
+ * For older leads they are recovered from `address`, which joins the OSM
+ * house number, street, city, state and postcode with ", ".
+ */
+function splitAddress(lead) {
+  const city = lead.city || '';
+  const state = lead.state || '';
+  if (lead.street !== undefined || lead.postcode !== undefined) {
+    return { street: lead.street || '', city, state, postalCode: lead.postcode || '', country: 'US' };
+  }
+
+  const parts = (lead.address || '').split(',').map(p => p.trim()).filter(Boolean);
+  const postalCode = parts.find(p => POSTCODE.test(p)) || '';
+  const street = parts
+    .filter(p => p !== postalCode && p.toLowerCase() !== city.toLowerCase() && p.toLowerCase() !== state.toLowerCase())
+    .join(' ');
+  return { street, city, state, postalCode, country: 'US' };
+}
+
+// "GA, FB Pixel" style summary for description fields
+const trackerSummary = lead => {
+  const trackers = leadTrackers(lead).map(t => t === 'ga' ? 'Google Analytics' : t === 'fb' ? 'Facebook Pixel' : t);
+  return trackers.length > 0 ? `Website trackers: ${trackers.join(', ')}` : '';
+};
+
+const address = part => lead => splitAddress(lead)[part];
+const owner = (lead, options) => options.owner || '';
+
+const PROFILES = {
+  hubspot: {
+    label: 'HubSpot (companies)',
+    // Lifecycle stage and lead status, by outreach status
+    stages: {
+      new: ['lead', 'NEW'],
+      contacted: ['lead', 'ATTEMPTED_TO_CONTACT'],
+      replied: ['marketingqualifiedlead', 'CONNECTED'],
+      qualified: ['salesqualifiedlead', 'OPEN_DEAL'],
+      won: ['customer', 'CONNECTED'],
+      lost: ['other', 'UNQUALIFIED'],
+      'do-not-contact': ['other', 'UNQUALIFIED']
+    },
+    fields: [
+      ['Company name', 'name', l => l.name],
+      ['Company Domain Name', 'domain', l => websiteDomain(l.website)],
+      ['Website URL', 'website', l => l.website],
+      ['Phone Number', 'phone', l => l.phone],
+      ['Street Address', 'address', address('street')],
+      ['City', 'city', address('city')],
+      ['State/Region', 'state', address('state')],
+      ['Postal Code', 'zip', address('postalCode')],
+      ['Country/Region', 'country', address('country')],
+      ['Lifecycle Stage', 'lifecyclestage', l => PROFILES.hubspot.stages[getLeadStatus(l)][0]],
+      ['Lead Status', 'hs_lead_status', l => PROFILES.hubspot.stages[getLeadStatus(l)][1]],
+      ['Company owner', 'hubspot_owner_id', owner],
+      ['Description', 'description', trackerSummary]
+    ]
+  },
+
+  pipedrive: {
+    label: 'Pipedrive (organizations + people)',
+    // Lead label, by outreach status
+    stages: {
+      new: 'Cold',
+      contacted: 'Warm',
+      replied: 'Warm',
+      qualified: 'Hot',
+      won: 'Won',
+      lost: 'Lost',
+      'do-not-contact': 'Lost'
+    },
+    fields: [
+      ['Organization - Name', 'name', l => l.name],
+      ['Organization - Website', 'website', l => l.website],
+      ['Organization - Street/road name', 'address_route', address('street')],
+      ['Organization - City/town/village/locality', 'address_locality', address('city')],
+      ['Organization - State/county', 'address_admin_area_level_1', address('state')],
+      ['Organization - ZIP/Postal code', 'address_postal_code', address('postalCode')],
+      ['Organization - Country', 'address_country', address('country')],
+      ['Organization - Owner', 'owner_id', owner],
+      ['Person - Email', 'email', l => l.email],
+      ['Person - Phone', 'phone', l => l.phone],
+      ['Lead - Title', 'title', l => `${l.name} - ${l.category || 'lead'}`],
+      ['Lead - Label', 'label', l => PROFILES.pipedrive.stages[getLeadStatus(l)]],
+      ['Note - Content', 'note', trackerSummary]
+    ]
+  },
+
+  salesforce: {
+    label: 'Salesforce (leads)',
+    // Lead Status picklist, by outreach status
+    stages: {
+      new: 'Open - Not Contacted',
+      contacted: 'Working - Contacted',
+      replied: 'Working - Contacted',
+      qualified: 'Working - Contacted',
+      won: 'Closed - Converted',
+      lost: 'Closed - Not Converted',
+      'do-not-contact': 'Closed - Not Converted'
+    },
+    fields: [
+      ['Company', 'Company', l => l.name],
+      // Required on Salesforce leads; OSM has businesses, not people
+      ['Last Name', 'LastName', l => l.name],
+      ['Website', 'Website', l => l.website],
+      ['Phone', 'Phone', l => l.phone],
+      ['Email', 'Email', l => l.email],
+      ['Street', 'Street', address('street')],
+      ['City', 'City', address('city')],
+      ['State/Province', 'State', address('state')],
+      ['Zip/Postal Code', 'PostalCode', address('postalCode')],
+      ['Country', 'Country', address('country')],
+      ['Industry', 'Industry', l => l.category],
+      ['Lead Source', 'LeadSource', () => 'Web Scraper'],
+      ['Lead Status', 'Status', l => PROFILES.salesforce.stages[getLeadStatus(l)]],
+      ['Lead Owner', 'OwnerId', owner],
+      ['Description', 'Description', trackerSummary]
+    ]
+  }
+};
+
+const CRM_PROFILES = Object.keys(PROFILES);
+
+function getProfile(name) {
+  const profile = PROFILES[String(name || '').toLowerCase()];
+  if (!profile) {
+    throw new Error(`Unknown CRM profile "${name}" (expected one of: ${CRM_PROFILES.join(', ')})`);
+  }
+  return profile;
+}
+
+// [header, lead => value] columns for toCSV()
+function getCrmColumns(name, options = {}) {
+  return getProfile(name).fields.map(([header, , get]) => [header, lead => get(lead, options)]);
+}
+
+// One lead as a record keyed by API names; empty fields are left out
+function toCrmRecord(lead, name, options = {}) {
+  const record = {};
+  for (const [, apiName, get] of getProfile(name).fields) {
+    const value = get(lead, options);
+    if (value !== undefined && value !== null && value !== '') record[apiName] = value;
+  }
+  return record;
+}
+
+// The records a search answered with: a bare array, or { results } /
+// { data } / { records }
+function searchResults(body) {
+  const parsed = JSON.parse(body || '[]');
+  const list = Array.isArray(parsed) ? parsed : parsed.results || parsed.data || parsed.records || [];
+  return Array.isArray(list) ? list : [];
+}
+
+/**
+ * Upsert leads into a CRM-style REST endpoint, keyed by website domain
+ *
+ * For each lead with a website:
+ *   GET   <url>?domain=<domain>  - find an existing record (array, or
+ *                                  { results | data | records })
+ *   PATCH <url>/<id>             - update the first match, or
+ *   POST  <url>                  - create one
+ * Bodies are toCrmRecord() plus `domain`. Leads without a website can't be
+ * matched and are skipped.
+ *
+ * Options: url (required), token (sent as a Bearer token), profile
+ * (default hubspot), owner, concurrency (default 4), retries (default 2;
+ * the search and PATCH only, since a create that timed out may still have
+ * gone through and retrying it could duplicate the record), timeout, log,
+ * onProgress (called with the running summary after each lead)
+ *
+ * Resolves to { created, updated, skipped, failed, errors: [{ name, error }] }.
+ */
+async function pushLeads(leads, options = {}) {
+  if (!options.url) throw new Error('pushLeads needs a url');
+  const base = options.url.replace(/\/+$/, '');
+  const profile = options.profile || 'hubspot';
+  getProfile(profile);
+  const log = options.log || (() => {});
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+  const retries = options.retries === undefined ? 2 : options.retries;
+  const request = (url, method, body) => withRetry(() => fetch(url, {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+    timeout: options.timeout || 15000,
+    maxRedirects: 0
+  }), {
+    retries: method === 'POST' ? 0 : retries,
+    label: attempt => `${method} ${url} attempt ${attempt + 1}`,
+    log
+  });
+
+  const expectSuccess = (response, what) => {
+    if (!isSuccess(response.status)) throw new Error(`${what} failed: HTTP ${response.status}`);
+    return response;
+  };
+
+  const pushLead = async lead => {
+    const domain = websiteDomain(lead.website);
+    if (!domain) {
+      summary.skipped++;
+      return;
+    }
+
+    try {
+      const found = expectSuccess(await request(`${base}?domain=${encodeURIComponent(domain)}`, 'GET'), 'Search');
+      const existing = searchResults(found.body)[0];
+      const record = { ...toCrmRecord(lead, profile, options), domain };
+
+      if (existing && existing.id !== undefined) {
+        expectSuccess(await request(`${base}/${encodeURIComponent(existing.id)}`, 'PATCH', record), 'Update');
+        summary.updated++;
+      } else {
+        expectSuccess(await request(base, 'POST', record), 'Create');
+        summary.created++;
+      }
+    } catch (error) {
+      summary.failed++;
+      summary.errors.push({ name: lead.name, error: error.message });
+      log(`CRM push failed for ${lead.name}: ${error.message}`);
+    }
+  };
+
+  await mapPool(leads, async lead => {
+    await pushLead(lead);
+    if (options.onProgress) await options.onProgress(summary);
+  }, { concurrency: options.concurrency || 4 });
+
+  return summary;
+}
+
+module.exports = {
+  CRM_PROFILES,
+  splitAddress,
+  getCrmColumns,
+  toCrmRecord,
+  pushLeads
+};
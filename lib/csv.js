@@ -0,0 +1,150 @@
+/**
+ * CSV export
+ *
+ * A column is a [header, lead => value] pair so the CLI sheet and the
+ * dashboard export can share the same writer. Column lists are built on
+ * demand so vendors registered at runtime get their own column.
+ */
+
+const { summarizeEvidence } = require('./detect');
+const { getSignatures } = require('./signatures');
+const { formatRedirects } = require('./http');
+const { getLeadStatus, formatStatusNotes } = require('./status');
+
+const yesIf = value => value ? 'YES' : '';
+
+// Tracker detail helpers (leads checked before detection evidence existed
+// have no `detections` field)
+const detectionOf = (lead, id) => (lead.detections && lead.detections[id]) || null;
+const trackerIds = (lead, id) => {
+  const detection = detectionOf(lead, id);
+  return detection ? detection.ids.join(' ') : '';
+};
+const trackerConfidence = (lead, id) => {
+  const detection = detectionOf(lead, id);
+  if (detection) return detection.confidence;
+  return lead.detections ? 'none' : '';
+};
+const trackerEvidence = lead => {
+  if (!lead.detections) return '';
+  return Object.entries(lead.detections)
+    .map(([id, detection]) => {
+      const summary = summarizeEvidence(detection);
+      return summary ? `${id.toUpperCase()} - ${summary}` : '';
+    })
+    .filter(Boolean)
+    .join(' | ');
+};
+
+// "YES" or the IDs found, for the per-vendor columns
+const vendorCell = (lead, id) => {
+  const detection = detectionOf(lead, id);
+  if (!detection || !detection.detected) return '';
+  return detection.ids.length > 0 ? detection.ids.join(' ') : 'YES';
+};
+
+// Detection columns shared by every layout. GA and FB keep their own
+// ID/confidence columns; every other catalogued vendor gets one column.
+function trackingColumns() {
+  const vendors = getSignatures()
+    .filter(s => s.id !== 'ga' && s.id !== 'fb')
+    .map(s => [s.name, l => vendorCell(l, s.id)]);
+
+  return [
+    ['Has GA?', l => yesIf(l.hasGA)],
+    ['GA IDs', l => trackerIds(l, 'ga')],
+    ['GA Confidence', l => trackerConfidence(l, 'ga')],
+    ['Has FB Pixel?', l => yesIf(l.hasFB)],
+    ['FB Pixel IDs', l => trackerIds(l, 'fb')],
+    ['FB Confidence', l => trackerConfidence(l, 'fb')],
+    ...vendors,
+    ['Trackers', l => (l.trackers || []).join(' ')],
+    ['Tracking Evidence', trackerEvidence],
+    ['Pages Checked', l => (l.pagesChecked || []).length || ''],
+    ['Final URL', l => l.finalUrl],
+    ['Status Chain', l => formatRedirects(l.statusChain || [])]
+  ];
+}
+
+// Outreach pipeline columns (lib/status.js)
+function statusColumns() {
+  return [
+    ['Status', getLeadStatus],
+    ['Status Updated', l => l.statusUpdatedAt],
+    ['Notes', formatStatusNotes]
+  ];
+}
+
+// Columns for the CLI outreach sheet
+function getOutreachColumns() {
+  return [
+    ['Business Name', l => l.name],
+    ['Category', l => l.category],
+    ['Website', l => l.website],
+    ['Phone', l => l.phone],
+    ['Email', l => l.email],
+    ['Email Source', l => l.emailSource],
+    ['Site Emails', l => l.contacts ? l.contacts.emails.map(e => e.value).join(' ') : ''],
+    ['Contact Form', l => l.contactForm],
+    ['Social Profiles', l => Object.values(l.socials || {}).join(' ')],
+    ['Address', l => l.address],
+    ['City', l => l.city],
+    ['State', l => l.state],
+    ...trackingColumns(),
+    ['First Seen', l => l.firstSeen],
+    ['Last Seen', l => l.lastSeen],
+    ...statusColumns(),
+    ['Source', l => l.source]
+  ];
+}
+
+// Columns for the stored-lead download from get-leads
+function getExportColumns() {
+  return [
+    ['Business Name', l => l.name],
+    ['Category', l => l.category],
+    ['Website', l => l.website],
+    ['Phone', l => l.phone],
+    ['Email', l => l.email],
+    ['Email Source', l => l.emailSource],
+    ['Site Emails', l => l.contacts ? l.contacts.emails.map(e => e.value).join(' ') : ''],
+    ['Contact Form', l => l.contactForm],
+    ['Social Profiles', l => Object.values(l.socials || {}).join(' ')],
+    ['Address', l => l.address],
+    ['City', l => l.city],
+    ['State', l => l.state],
+    ...trackingColumns(),
+    ['Last Checked', l => l.recheckedAt || l.checkedAt],
+    ['Trackers Changed', l => l.trackersChangedAt],
+    ['Tracker Change', l => l.trackerChange
+      ? [...l.trackerChange.added.map(id => `+${id}`), ...l.trackerChange.removed.map(id => `-${id}`)].join(' ')
+      : ''],
+    ...statusColumns(),
+    ['Scraped At', l => l.scrapedAt],
+    ['Source', l => l.source]
+  ];
+}
+
+// Escape CSV fields
+function escapeCSV(field) {
+  const str = String(field === undefined || field === null ? '' : field);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// Convert leads to CSV
+function toCSV(leads, columns = getOutreachColumns()) {
+  return [
+    columns.map(([header]) => escapeCSV(header)).join(','),
+    ...leads.map(lead => columns.map(([, get]) => escapeCSV(get(lead))).join(','))
+  ].join('\n');
+}
+
+module.exports = {
+  getOutreachColumns,
+  getExportColumns,
+  escapeCSV,
+  toCSV
+};
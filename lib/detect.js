@@ -0,0 +1,127 @@
+/**
+ * Rule-based tracker detection
+ *
+ * Vendors and their rules live in lib/signatures.js. Each rule is a regex
+ * run against the raw (case-preserved) HTML. A match becomes a piece of
+ * evidence; rules with an `idGroup` also yield the measurement ID captured
+ * by that group. A tracker's confidence is the strongest confidence among
+ * its matched rules, and it only counts as detected at `medium` or above,
+ * so a stray `gtag(` in a blog post is recorded but does not flag the
+ * site.
+ */
+
+const { getSignatures } = require('./signatures');
+
+const CONFIDENCE_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// Minimum confidence for a tracker to count as present
+const DETECTION_THRESHOLD = 'medium';
+
+// Max length of a stored evidence snippet
+const MAX_SNIPPET = 160;
+
+function rank(confidence) {
+  return CONFIDENCE_LEVELS.indexOf(confidence);
+}
+
+// Trim a match down to something quotable
+function snippet(text) {
+  const compact = text.replace(/\s+/g, ' ').trim();
+  return compact.length > MAX_SNIPPET ? compact.slice(0, MAX_SNIPPET - 3) + '...' : compact;
+}
+
+// Run one tracker's rules over the HTML
+function detectTracker(html, rules) {
+  const ids = new Set();
+  const evidence = [];
+  let confidence = 'none';
+
+  for (const rule of rules) {
+    const seen = new Set();
+    for (const match of html.matchAll(rule.pattern)) {
+      const id = rule.idGroup ? match[rule.idGroup] : null;
+      const value = snippet(match[0]);
+      // Weaker rules often re-match an ID a stronger rule already found
+      if (seen.has(value) || (id && ids.has(id))) continue;
+      seen.add(value);
+
+      if (id) ids.add(id);
+      evidence.push({ rule: rule.name, match: value, ...(id ? { id } : {}), confidence: rule.confidence });
+      if (rank(rule.confidence) > rank(confidence)) confidence = rule.confidence;
+    }
+  }
+
+  return {
+    detected: rank(confidence) >= rank(DETECTION_THRESHOLD),
+    confidence,
+    ids: [...ids],
+    evidence
+  };
+}
+
+/**
+ * Detect all catalogued vendors in a page
+ *
+ * Returns `detections` keyed by vendor id (only vendors with at least one
+ * matching rule are included) and `trackers`, the ids of vendors that
+ * reached the detection threshold.
+ */
+function detectTrackers(html) {
+  const detections = {};
+  for (const signature of getSignatures()) {
+    const result = detectTracker(html, signature.rules);
+    if (result.evidence.length > 0) {
+      detections[signature.id] = result;
+    }
+  }
+
+  const trackers = Object.keys(detections).filter(id => detections[id].detected);
+  return { detections, trackers };
+}
+
+/**
+ * Merge per-page results from detectTrackers() into one site-level result
+ *
+ * `pages` is [{ url, result }]. Evidence is tagged with the page it was
+ * found on; a vendor is detected if any page reached the threshold.
+ */
+function mergeDetections(pages) {
+  const detections = {};
+
+  for (const { url, result } of pages) {
+    for (const [id, detection] of Object.entries(result.detections)) {
+      const current = detections[id] || { detected: false, confidence: 'none', ids: [], evidence: [] };
+      const newIds = detection.ids.filter(i => !current.ids.includes(i));
+      const newEvidence = detection.evidence
+        .filter(e => !current.evidence.some(c => c.rule === e.rule && c.match === e.match))
+        .map(e => ({ ...e, page: url }));
+
+      detections[id] = {
+        detected: current.detected || detection.detected,
+        confidence: rank(detection.confidence) > rank(current.confidence) ? detection.confidence : current.confidence,
+        ids: [...current.ids, ...newIds],
+        evidence: [...current.evidence, ...newEvidence]
+      };
+    }
+  }
+
+  const trackers = Object.keys(detections).filter(id => detections[id].detected);
+  return { detections, trackers };
+}
+
+// One-line summary of the evidence, for CSV cells and logs
+function summarizeEvidence(detection) {
+  return detection.evidence
+    .filter(e => rank(e.confidence) >= rank(DETECTION_THRESHOLD))
+    .map(e => `${e.rule}: ${e.match}`)
+    .join('; ');
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  DETECTION_THRESHOLD,
+  detectTracker,
+  detectTrackers,
+  mergeDetections,
+  summarizeEvidence
+};
@@ -0,0 +1,91 @@
+/**
+ * Contact enrichment
+ *
+ * Runs after checkBusinessesForTracking(): picks the best email, phone,
+ * social profiles and contact form out of the `contacts` found while
+ * crawling, and fills in what OpenStreetMap didn't have. Values from OSM
+ * are never overwritten.
+ */
+
+const { websiteDomain } = require('./leads');
+
+// Prefer structured sources over scraped text
+const SOURCE_RANK = { jsonld: 4, mailto: 3, tel: 3, obfuscated: 2, text: 1 };
+
+// Generic inboxes that are still fine to contact, ranked above personal ones
+const ROLE_INBOX = /^(?:info|contact|office|hello|frontdesk|front\.desk|admin|appointments?|reception|team)@/i;
+
+function scoreEmail(item, domain) {
+  const emailDomain = item.value.split('@')[1];
+  let score = SOURCE_RANK[item.source] || 0;
+  if (domain && (emailDomain === domain || emailDomain.endsWith(`.${domain}`))) score += 10;
+  if (ROLE_INBOX.test(item.value)) score += 1;
+  return score;
+}
+
+// Highest-scoring item, earliest found wins ties
+function best(items, score) {
+  let winner = null;
+  let winnerScore = -Infinity;
+  for (const item of items) {
+    const s = score(item);
+    if (s > winnerScore) {
+      winner = item;
+      winnerScore = s;
+    }
+  }
+  return winner;
+}
+
+const describeSource = item => `${item.source} (${item.page})`;
+
+// Enrich one business in place
+function enrichBusiness(biz) {
+  const contacts = biz.contacts;
+
+  biz.emailSource = biz.email ? 'osm' : '';
+  biz.phoneSource = biz.phone ? 'osm' : '';
+  biz.socials = {};
+  biz.contactForm = '';
+
+  if (!contacts) return biz;
+
+  if (!biz.email) {
+    const domain = websiteDomain(biz.website);
+    const email = best(contacts.emails, item => scoreEmail(item, domain));
+    if (email) {
+      biz.email = email.value;
+      biz.emailSource = describeSource(email);
+    }
+  }
+
+  if (!biz.phone) {
+    const phone = best(contacts.phones, item => SOURCE_RANK[item.source] || 0);
+    if (phone) {
+      biz.phone = phone.value;
+      biz.phoneSource = describeSource(phone);
+    }
+  }
+
+  for (const social of contacts.socials || []) {
+    if (!biz.socials[social.network]) {
+      biz.socials[social.network] = social.value;
+    }
+  }
+
+  if (contacts.forms && contacts.forms.length > 0) {
+    biz.contactForm = contacts.forms[0].value;
+  }
+
+  return biz;
+}
+
+// Enrichment stage for a batch of checked businesses
+function enrichBusinesses(businesses) {
+  return businesses.map(enrichBusiness);
+}
+
+module.exports = {
+  enrichBusiness,
+  enrichBusinesses
+};
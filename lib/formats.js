@@ -0,0 +1,173 @@
+/**
+ * Lead export formats
+ *
+ * One entry point, exportLeads(), for every download format so the CLI
+ * (`--format`) and get-leads (`format=`) offer the same ones:
+ *
+ *   csv      spreadsheet-friendly text (lib/csv.js)
+ *   xlsx     formatted workbook (lib/xlsx.js)
+ *   json     array of leads
+ *   ndjson   one lead per line, for streaming into pipelines
+ *   vcf      vCard 3.0 contacts, for phones and address books
+ *   geojson  FeatureCollection of the leads with coordinates
+ *
+ * csv and xlsx use the given columns (or a CRM profile's); json and ndjson
+ * can hold CRM records instead of leads (lib/crm.js).
+ */
+
+const { getOutreachColumns, toCSV } = require('./csv');
+const { toXLSX } = require('./xlsx');
+const { getCrmColumns, toCrmRecord, splitAddress } = require('./crm');
+const { getLeadStatus } = require('./status');
+const { leadTrackers } = require('./leads');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json', 'ndjson', 'vcf', 'geojson'];
+
+const FORMAT_TYPES = {
+  csv: ['text/csv', 'csv'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'xlsx'],
+  json: ['application/json', 'json'],
+  ndjson: ['application/x-ndjson', 'ndjson'],
+  vcf: ['text/vcard', 'vcf'],
+  geojson: ['application/geo+json', 'geojson']
+};
+
+// Formats a CRM profile can shape
+const CRM_FORMATS = ['csv', 'xlsx', 'json', 'ndjson'];
+
+// Lead fields kept as GeoJSON feature properties
+const GEOJSON_PROPERTIES = [
+  'key', 'name', 'category', 'website', 'phone', 'email', 'address', 'city', 'state',
+  'scrapedCity', 'scrapedAt', 'hasGA', 'hasFB', 'trackers', 'trackersChangedAt'
+];
+
+function toNDJSON(leads) {
+  return leads.map(lead => JSON.stringify(lead)).join('\n') + (leads.length > 0 ? '\n' : '');
+}
+
+// vCard text value: backslash, comma, semicolon and newlines escaped
+const vcardText = value => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/[,;]/g, match => `\\${match}`)
+  .replace(/\r?\n/g, '\\n');
+
+// Fold lines longer than 75 bytes (RFC 2425), continuing with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// One vCard 3.0 per lead, as an organization contact
+function toVCard(lead) {
+  const { street, city, state, postalCode, country } = splitAddress(lead);
+  const trackers = leadTrackers(lead);
+  const note = [
+    trackers.length > 0 ? `Trackers: ${trackers.join(', ')}` : '',
+    `Status: ${getLeadStatus(lead)}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `FN:${vcardText(lead.name)}`,
+    `N:${vcardText(lead.name)};;;;`,
+    `ORG:${vcardText(lead.name)}`,
+    'X-ABShowAs:COMPANY',
+    lead.phone && `TEL;TYPE=WORK,VOICE:${vcardText(lead.phone)}`,
+    lead.email && `EMAIL;TYPE=INTERNET,WORK:${vcardText(lead.email)}`,
+    lead.website && `URL:${lead.website}`,
+    (street || city || state || postalCode) &&
+      `ADR;TYPE=WORK:;;${[street, city, state, postalCode, country].map(vcardText).join(';')}`,
+    typeof lead.lat === 'number' && typeof lead.lon === 'number' && `GEO:${lead.lat};${lead.lon}`,
+    lead.category && `CATEGORIES:${vcardText(lead.category)}`,
+    `NOTE:${vcardText(note)}`,
+    'END:VCARD'
+  ];
+  return lines.filter(Boolean).map(foldLine).join('\r\n');
+}
+
+function toVCards(leads) {
+  return leads.map(toVCard).join('\r\n') + (leads.length > 0 ? '\r\n' : '');
+}
+
+/**
+ * A GeoJSON FeatureCollection of Point features
+ *
+ * Leads without a numeric lat/lon are left out. Properties are the
+ * GEOJSON_PROPERTIES fields plus `status`.
+ */
+function toGeoJSON(leads) {
+  const features = leads
+    .filter(lead => Number.isFinite(lead.lat) && Number.isFinite(lead.lon))
+    .map(lead => {
+      const properties = {};
+      for (const field of GEOJSON_PROPERTIES) {
+        if (lead[field] !== undefined) properties[field] = lead[field];
+      }
+      properties.status = getLeadStatus(lead);
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lead.lon, lead.lat] },
+        properties
+      };
+    });
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Render leads in an export format
+ *
+ * Options:
+ *   columns - [header, lead => value] columns for csv/xlsx (default: the
+ *             CLI outreach sheet)
+ *   crm     - CRM profile name: csv/xlsx use its columns, json/ndjson its
+ *             records
+ *   owner   - CRM owner for `crm`
+ *
+ * Returns { body, contentType, extension }, where body is a Buffer for
+ * xlsx and a string otherwise. Throws on an unknown format, or a CRM
+ * profile with a format it can't shape.
+ */
+function exportLeads(leads, format, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+  }
+  if (options.crm && !CRM_FORMATS.includes(format)) {
+    throw new Error(`A CRM profile only works with ${CRM_FORMATS.join(', ')}`);
+  }
+
+  const crmOptions = { owner: options.owner };
+  const columns = options.crm ? getCrmColumns(options.crm, crmOptions) : options.columns || getOutreachColumns();
+  const records = () => options.crm ? leads.map(lead => toCrmRecord(lead, options.crm, crmOptions)) : leads;
+
+  const bodies = {
+    csv: () => toCSV(leads, columns),
+    xlsx: () => toXLSX(leads, columns),
+    json: () => JSON.stringify(records(), null, 2),
+    ndjson: () => toNDJSON(records()),
+    vcf: () => toVCards(leads),
+    geojson: () => JSON.stringify(toGeoJSON(leads), null, 2)
+  };
+
+  const [contentType, extension] = FORMAT_TYPES[format];
+  return { body: bodies[format](), contentType, extension };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CRM_FORMATS,
+  toNDJSON,
+  toVCards,
+  toGeoJSON,
+  exportLeads
+};
@@ -0,0 +1,78 @@
+/**
+ * Geocoding: local city table first, Nominatim as a fallback
+ */
+
+const { fetch } = require('./http');
+const { withRetry } = require('./retry');
+const { US_CITIES, findCity } = require('./cities');
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+/**
+ * Geocode location - try local lookup first, then Nominatim
+ *
+ * Nominatim 429/5xx responses are retried with backoff (options: retries,
+ * baseDelay, maxDelay; see lib/retry.js). A 403 means we're blocked, so it
+ * fails straight away. Pass `cache` (lib/cache.js) to reuse Nominatim answers.
+ */
+async function geocodeLocation(location, options = {}) {
+  const log = options.log || (() => {});
+
+  const local = findCity(location);
+  if (local) {
+    log(`Found: ${local.name} (local lookup)`);
+    return {
+      lat: local.lat,
+      lon: local.lon,
+      displayName: local.name
+    };
+  }
+
+  const cacheKey = location.toLowerCase().trim();
+  const hit = options.cache && options.cache.get('geocode', cacheKey);
+  if (hit) {
+    log(`Found: ${hit.displayName} (cached)`);
+    return hit;
+  }
+
+  log('City not in local cache, trying Nominatim API...');
+
+  const url = `${NOMINATIM_URL}?q=${encodeURIComponent(location)}&format=json&limit=1`;
+  const response = await withRetry(() => fetch(url), {
+    retries: options.retries,
+    baseDelay: options.baseDelay === undefined ? 2000 : options.baseDelay,
+    maxDelay: options.maxDelay,
+    label: attempt => `Nominatim attempt ${attempt + 1}`,
+    log
+  });
+  const suggestions = Object.keys(US_CITIES).slice(0, 10).join(', ');
+
+  if (response.status === 403 || response.status === 429) {
+    throw new Error(`Nominatim rate limited. Try one of these cities: ${suggestions}`);
+  }
+
+  if (response.status !== 200) {
+    throw new Error(`Geocoding failed with status ${response.status}`);
+  }
+
+  const data = JSON.parse(response.body);
+
+  if (!data || data.length === 0) {
+    throw new Error(`Could not find location: ${location}. Try one of: ${suggestions}`);
+  }
+
+  const result = data[0];
+  log(`Found: ${result.display_name}`);
+
+  const coords = {
+    lat: parseFloat(result.lat),
+    lon: parseFloat(result.lon),
+    displayName: result.display_name
+  };
+  if (options.cache) options.cache.set('geocode', cacheKey, coords);
+  return coords;
+}
+
+module.exports = {
+  geocodeLocation
+};
@@ -0,0 +1,194 @@
+/**
+ * HTTP client shared by the CLI and the Netlify functions
+ *
+ * Speaks both http and https, follows redirects up to a hop limit, decodes
+ * gzip/deflate/brotli bodies and stops reading once a body passes the size
+ * cap. Every response carries the final URL and the chain of hops taken to
+ * get there, so a lead can show that example.com ended up on
+ * https://www.example.com/.
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const USER_AGENT = 'LeadScraper/1.0';
+
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Wrap the response stream in a decoder matching its Content-Encoding
+function decodedStream(res) {
+  switch ((res.headers['content-encoding'] || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return res.pipe(zlib.createGunzip());
+    case 'deflate':
+      return res.pipe(zlib.createInflate());
+    case 'br':
+      return res.pipe(zlib.createBrotliDecompress());
+    default:
+      return res;
+  }
+}
+
+// One request/response, no redirect handling
+function requestOnce(url, options) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const client = urlObj.protocol === 'http:' ? http : https;
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+
+    const reqOptions = {
+      protocol: urlObj.protocol,
+      hostname: urlObj.hostname,
+      port: urlObj.port || undefined,
+      path: urlObj.pathname + urlObj.search,
+      method: options.method || 'GET',
+      headers: {
+        'User-Agent': options.userAgent || USER_AGENT,
+        'Accept': options.accept || 'application/json',
+        'Accept-Encoding': 'gzip, deflate, br',
+        ...options.headers
+      }
+    };
+
+    const req = client.request(reqOptions, (res) => {
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+      let settled = false;
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        resolve({
+          status: res.statusCode,
+          body: Buffer.concat(chunks).toString('utf8'),
+          headers: res.headers,
+          truncated
+        });
+      };
+
+      // Redirect bodies are never read
+      if (REDIRECT_STATUSES.has(res.statusCode) && res.headers.location) {
+        res.resume();
+        finish();
+        return;
+      }
+
+      const fail = error => {
+        if (settled) return;
+        settled = true;
+        reject(error);
+      };
+      res.on('error', fail);
+
+      const stream = decodedStream(res);
+      stream.on('data', chunk => {
+        if (truncated) return;
+        size += chunk.length;
+        if (size > maxBytes) {
+          chunks.push(chunk.subarray(0, chunk.length - (size - maxBytes)));
+          truncated = true;
+          req.destroy();
+          finish();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', finish);
+      if (stream !== res) {
+        stream.on('error', error => fail(new Error(`Could not decode response: ${error.message}`)));
+      }
+    });
+
+    req.on('error', error => reject(error));
+    req.setTimeout(options.timeout || 30000, () => {
+      req.destroy(new Error('Request timeout'));
+    });
+
+    if (options.body) {
+      req.write(options.body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Fetch URL with proper headers
+ *
+ * Resolves to { status, body, headers, url, redirects, truncated } where
+ * `url` is the final URL and `redirects` lists each hop as { url, status }
+ * (the final response included). Rejects on network errors, redirect
+ * loops and too many redirects.
+ *
+ * Options:
+ *   method, headers, body, accept, userAgent, timeout
+ *   maxRedirects - hop limit (default 5, 0 disables following)
+ *   maxBytes     - decoded body size cap (default 5 MB); longer bodies are
+ *                  cut off and flagged `truncated`
+ */
+async function fetch(url, options = {}) {
+  const maxRedirects = options.maxRedirects === undefined ? DEFAULT_MAX_REDIRECTS : options.maxRedirects;
+  const redirects = [];
+  const visited = new Set();
+  let current = url;
+  let requestOptions = options;
+
+  for (;;) {
+    visited.add(current);
+    const response = await requestOnce(current, requestOptions);
+    redirects.push({ url: current, status: response.status });
+
+    const location = response.headers.location;
+    if (!REDIRECT_STATUSES.has(response.status) || !location || maxRedirects === 0) {
+      return { ...response, url: current, redirects };
+    }
+
+    if (redirects.length > maxRedirects) {
+      throw new Error(`Too many redirects (${maxRedirects})`);
+    }
+
+    const next = new URL(location, current).href;
+    if (visited.has(next)) {
+      throw new Error(`Redirect loop at ${next}`);
+    }
+
+    // 301/302/303 turn a POST into a GET without body, 307/308 replay it
+    if (response.status !== 307 && response.status !== 308 && requestOptions.method && requestOptions.method !== 'GET') {
+      requestOptions = { ...requestOptions, method: 'GET', body: undefined };
+    }
+    current = next;
+  }
+}
+
+// POST a form-encoded body
+function postForm(url, body, options = {}) {
+  return fetch(url, {
+    ...options,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...options.headers },
+    body
+  });
+}
+
+// True for any 2xx status
+function isSuccess(status) {
+  return status >= 200 && status < 300;
+}
+
+// "301 http://a.com/ -> 200 https://www.a.com/"
+function formatRedirects(redirects) {
+  return redirects.map(hop => `${hop.status} ${hop.url}`).join(' -> ');
+}
+
+module.exports = {
+  USER_AGENT,
+  fetch,
+  postForm,
+  isSuccess,
+  formatRedirects
+};
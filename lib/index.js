@@ -0,0 +1,241 @@
+/**
+ * Lead scraper core
+ *
+ * Shared by the CLI (scrape-leads.js) and the Netlify functions so fixes to
+ * geocoding, Overpass querying or tracker detection reach both.
+ */
+
+const { fetch, postForm, isSuccess, formatRedirects } = require('./http');
+const { sleep, createRateLimiter, mapPool } = require('./throttle');
+const { CATEGORY_TAGS, CATEGORIES, getCategoryTags } = require('./categories');
+const { US_CITIES, ROTATION_CITIES, getCity, findCity } = require('./cities');
+const { geocodeLocation } = require('./geocode');
+const { withRetry } = require('./retry');
+const { CACHE_TTLS, createCache, cached } = require('./cache');
+const { getOverpassEndpoints, buildOverpassQuery, searchOpenStreetMap } = require('./overpass');
+const { registerSignature, getSignatures, getSignature } = require('./signatures');
+const { detectTrackers, mergeDetections, summarizeEvidence } = require('./detect');
+const { extractLinks, crawlSite } = require('./crawl');
+const { extractContacts, mergeContacts } = require('./contacts');
+const { enrichBusiness, enrichBusinesses } = require('./enrich');
+const { checkWebsiteForTracking, checkBusinessesForTracking } = require('./tracking');
+const { normalizeBusiness, dedupeBusinesses, leadKey, websiteDomain, identityKeys, leadTrackers } = require('./leads');
+const { openLeadDb } = require('./lead-db');
+const {
+  LEAD_STATUSES,
+  DEFAULT_STATUS,
+  isLeadStatus,
+  getLeadStatus,
+  setLeadStatus,
+  formatStatusNotes
+} = require('./status');
+const {
+  ROLES,
+  PERMISSIONS,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken,
+  getAuthConfig,
+  checkLogin,
+  createSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  hasPermission,
+  authorize,
+  workerToken,
+  isWorkerRequest,
+  loginBlockedFor,
+  recordLoginFailure
+} = require('./auth');
+const { auditEntry, writeAudit, readAudit } = require('./audit');
+const { summarizeLead, updateJSON, createLeadStore } = require('./lead-store');
+const {
+  DEFAULT_SCHEDULE,
+  defaultRotationConfig,
+  normalizeRotationConfig,
+  loadRotationConfig,
+  saveRotationConfig
+} = require('./rotation');
+const { scheduleSettings, rotationPairs, planNextRun, recordRun, planQueue } = require('./schedule');
+const { createJob, createJobQueue, fillQueue, runJob, processQueue, startWorker } = require('./jobs');
+const { trackerSnapshot, applyRecheck, staleLeads, recheckLeads } = require('./recheck');
+const {
+  classifySiteError,
+  siteResult,
+  startRun,
+  finishRun,
+  runTotals,
+  summarizeRun,
+  saveRun,
+  listRuns,
+  getRun,
+  pruneRuns
+} = require('./runs');
+const {
+  normalizeWebhookConfig,
+  redactWebhookConfig,
+  matchesFilter,
+  buildPayload,
+  signPayload,
+  sendWebhook,
+  notifyTargets,
+  webhookNotifier,
+  loadWebhookConfig,
+  saveWebhookConfig
+} = require('./webhooks');
+const { parseLeadQuery, isLeadQuery, filterLeads, sortLeads, leadFacets, queryLeads } = require('./query');
+const { MAX_MAP_PINS, getMapSettings, parseArea, inArea, mapLeads } = require('./map');
+const { INTERVALS, FUNNEL_STAGES, leadsAdded, trackerBreakdown, outreachFunnel, leadAnalytics } = require('./analytics');
+const { getOutreachColumns, getExportColumns, escapeCSV, toCSV } = require('./csv');
+const { CRM_PROFILES, splitAddress, getCrmColumns, toCrmRecord, pushLeads } = require('./crm');
+const { toXLSX } = require('./xlsx');
+const { EXPORT_FORMATS, CRM_FORMATS, toNDJSON, toVCards, toGeoJSON, exportLeads } = require('./formats');
+
+module.exports = {
+  fetch,
+  postForm,
+  isSuccess,
+  formatRedirects,
+  sleep,
+  createRateLimiter,
+  mapPool,
+  CATEGORY_TAGS,
+  CATEGORIES,
+  getCategoryTags,
+  US_CITIES,
+  ROTATION_CITIES,
+  getCity,
+  findCity,
+  geocodeLocation,
+  withRetry,
+  CACHE_TTLS,
+  createCache,
+  cached,
+  getOverpassEndpoints,
+  buildOverpassQuery,
+  searchOpenStreetMap,
+  registerSignature,
+  getSignatures,
+  getSignature,
+  detectTrackers,
+  mergeDetections,
+  summarizeEvidence,
+  extractLinks,
+  crawlSite,
+  extractContacts,
+  mergeContacts,
+  enrichBusiness,
+  enrichBusinesses,
+  checkWebsiteForTracking,
+  checkBusinessesForTracking,
+  normalizeBusiness,
+  dedupeBusinesses,
+  leadKey,
+  websiteDomain,
+  identityKeys,
+  leadTrackers,
+  openLeadDb,
+  LEAD_STATUSES,
+  DEFAULT_STATUS,
+  isLeadStatus,
+  getLeadStatus,
+  setLeadStatus,
+  formatStatusNotes,
+  parseLeadQuery,
+  isLeadQuery,
+  filterLeads,
+  sortLeads,
+  leadFacets,
+  queryLeads,
+  getMapSettings,
+  parseArea,
+  inArea,
+  mapLeads,
+  MAX_MAP_PINS,
+  INTERVALS,
+  FUNNEL_STAGES,
+  leadsAdded,
+  trackerBreakdown,
+  outreachFunnel,
+  leadAnalytics,
+  ROLES,
+  PERMISSIONS,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken,
+  getAuthConfig,
+  checkLogin,
+  createSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  hasPermission,
+  authorize,
+  workerToken,
+  isWorkerRequest,
+  loginBlockedFor,
+  recordLoginFailure,
+  auditEntry,
+  writeAudit,
+  readAudit,
+  summarizeLead,
+  updateJSON,
+  createLeadStore,
+  DEFAULT_SCHEDULE,
+  defaultRotationConfig,
+  normalizeRotationConfig,
+  loadRotationConfig,
+  saveRotationConfig,
+  scheduleSettings,
+  rotationPairs,
+  planNextRun,
+  recordRun,
+  planQueue,
+  createJob,
+  createJobQueue,
+  fillQueue,
+  runJob,
+  processQueue,
+  startWorker,
+  trackerSnapshot,
+  applyRecheck,
+  staleLeads,
+  recheckLeads,
+  classifySiteError,
+  siteResult,
+  startRun,
+  finishRun,
+  runTotals,
+  summarizeRun,
+  saveRun,
+  listRuns,
+  getRun,
+  pruneRuns,
+  normalizeWebhookConfig,
+  redactWebhookConfig,
+  matchesFilter,
+  buildPayload,
+  signPayload,
+  sendWebhook,
+  notifyTargets,
+  webhookNotifier,
+  loadWebhookConfig,
+  saveWebhookConfig,
+  getOutreachColumns,
+  getExportColumns,
+  escapeCSV,
+  toCSV,
+  CRM_PROFILES,
+  splitAddress,
+  getCrmColumns,
+  toCrmRecord,
+  pushLeads,
+  toXLSX,
+  EXPORT_FORMATS,
+  CRM_FORMATS,
+  toNDJSON,
+  toVCards,
+  toGeoJSON,
+  exportLeads
+};
@@ -0,0 +1,382 @@
+/**
+ * Scrape job queue for the Netlify functions
+ *
+ * The hourly scheduled function doesn't scrape a pair itself any more: it
+ * claims the next pairs from the schedule and queues one job per pair
+ * (`jobs/<created>-<id>` in the `jobs` store). Workers pull jobs and check
+ * a job's sites a chunk at a time, saving a checkpoint after each chunk, so
+ * a job cut off by a function timeout resumes where it stopped instead of
+ * starting over.
+ *
+ * A claimed job carries a lease that every checkpoint renews. If a worker
+ * dies, the lease runs out and the next worker picks the job up. Every
+ * claim counts as an attempt until the job finishes or is handed back at a
+ * deadline, so a job that keeps getting its invocation killed (the catch
+ * that counts failures never runs) is still given up on. Like
+ * lib/lead-store.js, functions pass in their blob stores.
+ */
+
+const crypto = require('crypto');
+const { fetch } = require('./http');
+const { searchOpenStreetMap } = require('./overpass');
+const { checkBusinessesForTracking } = require('./tracking');
+const { enrichBusinesses } = require('./enrich');
+const { summarizeLead, updateJSON } = require('./lead-store');
+const { scheduleSettings, planNextRun, recordRun } = require('./schedule');
+const { siteResult, startRun, finishRun, saveRun, pruneRuns } = require('./runs');
+
+const JOB_PREFIX = 'jobs/';
+const LEASE = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 10 * 60 * 1000;
+
+// Sites checked per job, and per checkpoint
+const MAX_SITES_PER_JOB = 300;
+const CHUNK_SIZE = 10;
+
+const HISTORY_LIMIT = 100;
+
+const STRONG = { type: 'json', consistency: 'strong' };
+
+// A queued job for a plan from planNextRun()
+function createJob(plan, now = new Date()) {
+  return {
+    id: `${now.toISOString()}-${crypto.randomBytes(4).toString('hex')}`,
+    key: plan.key,
+    city: { name: plan.city.name, lat: plan.city.lat, lon: plan.city.lon, radius: plan.city.radius },
+    category: { name: plan.category.name, tags: plan.category.tags },
+    reason: plan.reason,
+    createdAt: now.toISOString(),
+    status: 'queued',
+    attempts: 0,
+    leaseId: null,
+    leaseUntil: null,
+    retryAt: null,
+    run: null,
+    businesses: null,
+    offset: 0,
+    leadsFound: 0,
+    newLeads: [],
+    totalLeads: null,
+    error: null
+  };
+}
+
+const claimable = (job, now) => job.status === 'queued'
+  ? !job.retryAt || job.retryAt <= now
+  : job.status === 'running' && job.leaseUntil < now;
+
+/**
+ * Wrap a blob store (getStore('jobs')) as a job queue
+ *
+ * Returns:
+ *   list()              - every job, oldest first
+ *   enqueue(job)        - add a job from createJob()
+ *   claim()             - lease the oldest job nobody is working on (queued
+ *                         and not waiting to retry, or its lease ran out);
+ *                         resolves to it, or null
+ *   save(job, changes)  - checkpoint a leased job and renew the lease;
+ *                         resolves to the updated job, or null if the lease
+ *                         was lost to another worker
+ *   release(job, changes) - checkpoint and put the job back in the queue
+ *   remove(job)         - drop a finished job, if the lease is still held
+ */
+function createJobQueue(store) {
+  const blobKey = job => JOB_PREFIX + job.id;
+
+  const list = async () => {
+    const { blobs } = await store.list({ prefix: JOB_PREFIX });
+    const keys = blobs.map(blob => blob.key).sort();
+    const jobs = await Promise.all(keys.map(key => store.get(key, STRONG)));
+    return jobs.filter(job => job && job.status !== 'done');
+  };
+
+  const enqueue = async job => {
+    await store.setJSON(blobKey(job), job, { onlyIfNew: true });
+    return job;
+  };
+
+  const claim = async () => {
+    for (const job of await list()) {
+      if (!claimable(job, Date.now())) continue;
+      const leaseId = crypto.randomBytes(8).toString('hex');
+      const claimed = await updateJSON(store, blobKey(job), current => {
+        if (!current || !claimable(current, Date.now())) return undefined;
+        return { ...current, status: 'running', attempts: current.attempts + 1, leaseId, leaseUntil: Date.now() + LEASE };
+      });
+      if (claimed && claimed.leaseId === leaseId) return claimed;
+    }
+    return null;
+  };
+
+  // Whether the updater wrote is what tells a kept lease from a lost one:
+  // the stored job can match the changes without this worker holding it
+  const save = async (job, changes) => {
+    let wrote = false;
+    const saved = await updateJSON(store, blobKey(job), current => {
+      wrote = Boolean(current) && current.leaseId === job.leaseId;
+      return wrote ? { ...current, leaseUntil: Date.now() + LEASE, ...changes } : undefined;
+    });
+    return wrote ? saved : null;
+  };
+
+  const release = (job, changes = {}) => save(job, { ...changes, status: 'queued', leaseId: null, leaseUntil: null });
+
+  // Deletes can't be conditional, so the job is first marked done under the
+  // lease; once done nobody can claim it, and deleting it is safe
+  const remove = async job => {
+    const done = await save(job, { status: 'done', leaseId: null, leaseUntil: null });
+    if (done) await store.delete(blobKey(job));
+  };
+
+  return { list, enqueue, claim, save, release, remove };
+}
+
+/**
+ * Queue jobs for the next pairs in the schedule
+ *
+ * Tops the queue up to the config's `schedule.queueSize` jobs, claiming
+ * each pair in the `rotation` state so overlapping calls never queue the
+ * same pair. Resolves to the jobs added. A pair claimed but not queued is
+ * recorded as a failed run (history and schedule stats), so it's retried
+ * after a day rather than waiting for its next refresh; the error is then
+ * rethrown.
+ */
+async function fillQueue(queue, stateStore, config) {
+  const size = scheduleSettings(config).queueSize;
+  const pending = (await queue.list()).length;
+  const history = (await stateStore.get('history', STRONG)) || [];
+
+  const added = [];
+  for (let i = pending; i < size; i++) {
+    let plan;
+    await updateJSON(stateStore, 'rotation', state => {
+      plan = planNextRun(config, state || {}, { history });
+      return plan.state;
+    });
+    try {
+      added.push(await queue.enqueue(createJob(plan)));
+    } catch (error) {
+      const entry = {
+        timestamp: new Date().toISOString(),
+        city: plan.city.name,
+        category: plan.category.name,
+        businessesFound: 0,
+        leadsFound: 0,
+        error: `Could not queue: ${error.message}`
+      };
+      await updateJSON(stateStore, 'history', history => [entry, ...(history || [])].slice(0, HISTORY_LIMIT));
+      await updateJSON(stateStore, 'rotation', state => recordRun(state || {}, plan.key, entry));
+      throw error;
+    }
+  }
+  return added;
+}
+
+// A qualified business as stored: the check error only goes in the run record
+const toLead = ({ trackingError, ...biz }) => biz;
+
+/**
+ * Work on one leased job until it's done or `deadline` (ms) passes
+ *
+ * The first step searches OpenStreetMap and saves the businesses with a
+ * website; after that each chunk of sites is checked, its qualified leads
+ * stored with `addLeads(leads)` (lead store semantics: resolves to
+ * { added, total }) and the offset checkpointed. The job's run record
+ * (lib/runs.js) collects timings and every site's outcome along the way.
+ * Resolves to the job as last saved (done when its offset reaches the end),
+ * or null if the lease was lost.
+ */
+async function runJob(queue, job, { addLeads, deadline, log = () => {} }) {
+  const category = job.category.name;
+
+  if (!job.businesses) {
+    const run = startRun(job);
+    const stats = {};
+    const found = await searchOpenStreetMap(category, job.city, {
+      radius: job.city.radius,
+      tags: job.category.tags,
+      scrapedCity: job.city.name,
+      baseDelay: 500,
+      maxDelay: 5000,
+      stats,
+      log
+    });
+    const businesses = found.filter(b => b.website).slice(0, MAX_SITES_PER_JOB);
+    log(`${category} in ${job.city.name}: ${businesses.length} businesses with websites`);
+
+    run.overpass = { ...stats, businesses: found.length, withWebsite: found.filter(b => b.website).length };
+    job = await queue.save(job, { businesses, offset: 0, run });
+    if (!job) return null;
+  }
+
+  while (job.offset < job.businesses.length && Date.now() < deadline) {
+    const started = Date.now();
+    const chunk = job.businesses.slice(job.offset, job.offset + CHUNK_SIZE);
+    const timings = new Map();
+    const checked = await checkBusinessesForTracking(chunk, undefined, {
+      concurrency: 5,
+      rps: 5,
+      perHostInterval: 1000,
+      timeout: 15000,
+      maxPages: 3,
+      maxDepth: 1,
+      onChecked: (biz, ms) => timings.set(biz, ms)
+    });
+    const leads = enrichBusinesses(checked).map(biz => (biz.hasGA || biz.hasFB) && toLead(biz));
+
+    const { added, total } = await addLeads(leads.filter(Boolean));
+    const addedSet = new Set(added);
+    const sites = checked.map((biz, i) => siteResult(biz, {
+      ms: timings.has(biz) ? timings.get(biz) : null,
+      qualified: Boolean(leads[i]),
+      added: addedSet.has(leads[i])
+    }));
+
+    job = await queue.save(job, {
+      offset: job.offset + chunk.length,
+      leadsFound: job.leadsFound + added.length,
+      newLeads: [...(job.newLeads || []), ...added.map(summarizeLead)],
+      totalLeads: total,
+      run: { ...job.run, checkMs: job.run.checkMs + (Date.now() - started), sites: [...job.run.sites, ...sites] }
+    });
+    if (!job) return null;
+    log(`${category} in ${job.city.name}: checked ${job.offset}/${job.businesses.length} sites, ${job.leadsFound} new leads`);
+  }
+
+  return job;
+}
+
+/**
+ * Pull and run jobs until the queue is empty or `deadline` (ms) passes
+ *
+ * Finished jobs go into the scrape history, the run records (`runStore`,
+ * pruned to `runRetentionDays`) and the schedule stats; a job that runs out
+ * of time goes back to the queue with its checkpoint. A job that fails is
+ * retried from its checkpoint after RETRY_DELAY, and after MAX_ATTEMPTS is
+ * dropped and recorded as a failed run.
+ *
+ * `notify(event)`, if given, is called for every finished job with
+ * { type: 'leads', run, leads } (the new leads) or { type: 'failure', run },
+ * and resolves to delivery results that are kept on the run record.
+ *
+ * Resolves to { finished, failed, leadsFound, remaining }.
+ */
+async function processQueue({ queue, leadStore, stateStore, runStore, runRetentionDays, notify, deadline, log = () => {} }) {
+  const summary = { finished: 0, failed: 0, leadsFound: 0, remaining: 0 };
+
+  // History entry, run record and schedule stats for a job that's over
+  const recordJob = async (job, error) => {
+    const run = finishRun(job.run || startRun(job), { error, attempts: job.attempts, totalLeads: job.totalLeads });
+    if (notify) {
+      const event = error ? { type: 'failure', run } : { type: 'leads', run, leads: job.newLeads || [] };
+      try {
+        run.notifications = await notify(event);
+      } catch (notifyError) {
+        log(`Notifications for ${run.id} failed: ${notifyError.message}`);
+      }
+    }
+    await saveRun(runStore, run);
+
+    const entry = {
+      timestamp: run.finishedAt,
+      runId: run.id,
+      city: job.city.name,
+      category: job.category.name,
+      businessesFound: job.businesses ? job.businesses.length : 0,
+      ...(run.overpass ? { businessesTotal: run.overpass.businesses, withWebsite: run.overpass.withWebsite } : {}),
+      leadsFound: job.leadsFound,
+      qualified: run.totals.qualified,
+      totalLeads: job.totalLeads,
+      ...(error ? { error } : {})
+    };
+    await updateJSON(stateStore, 'history', history => [entry, ...(history || [])].slice(0, HISTORY_LIMIT));
+    await updateJSON(stateStore, 'rotation', state => recordRun(state || {}, job.key, error ? { error } : entry));
+    await queue.remove(job);
+  };
+
+  while (Date.now() < deadline) {
+    let job = await queue.claim();
+    if (!job) break;
+
+    const label = `${job.category.name} in ${job.city.name}`;
+
+    // Claimed MAX_ATTEMPTS times before without finishing or failing
+    // cleanly: its invocations were killed, most likely by a timeout
+    if (job.attempts > MAX_ATTEMPTS) {
+      log(`Job ${job.id}: giving up on ${label} after ${MAX_ATTEMPTS} attempts that never finished`);
+      await recordJob({ ...job, attempts: MAX_ATTEMPTS }, `Gave up after ${MAX_ATTEMPTS} attempts that were cut off before finishing`);
+      summary.failed++;
+      continue;
+    }
+
+    log(`Job ${job.id}: ${label}${job.businesses ? ` (resuming at site ${job.offset + 1})` : ''}`);
+
+    try {
+      job = await runJob(queue, job, { addLeads: leads => leadStore.addLeads(leads), deadline, log });
+    } catch (error) {
+      log(`Job ${job.id} failed (attempt ${job.attempts}): ${error.message}`);
+      if (job.attempts < MAX_ATTEMPTS) {
+        await queue.release(job, { error: error.message, retryAt: Date.now() + RETRY_DELAY });
+        continue;
+      }
+      // Re-read so the record has the sites checked before the failure
+      const latest = (await queue.list()).find(j => j.id === job.id) || job;
+      await recordJob(latest, error.message);
+      summary.failed++;
+      continue;
+    }
+
+    if (!job) {
+      log(`Job for ${label} was taken over by another worker`);
+      continue;
+    }
+    // Out of time, but it got this far: the next claim starts a fresh count
+    if (job.offset < job.businesses.length) {
+      await queue.release(job, { attempts: 0 });
+      break;
+    }
+
+    await recordJob(job, null);
+    log(`Job ${job.id} done: ${job.leadsFound} new leads from ${job.businesses.length} sites`);
+    summary.finished++;
+    summary.leadsFound += job.leadsFound;
+  }
+
+  if (summary.finished + summary.failed > 0 && runRetentionDays) {
+    const pruned = await pruneRuns(runStore, { retentionDays: runRetentionDays });
+    if (pruned > 0) log(`Pruned ${pruned} run records older than ${runRetentionDays} days`);
+  }
+
+  summary.remaining = (await queue.list()).length;
+  return summary;
+}
+
+// Start the background worker on a deployed site. Options: name (another
+// background function, default scrape-worker-background) and params (its
+// query string). Resolves to true if Netlify accepted the request.
+async function startWorker(siteUrl, token, { name = 'scrape-worker-background', params } = {}) {
+  if (!siteUrl || !token) return false;
+  const search = params ? `?${new URLSearchParams(params)}` : '';
+  try {
+    const res = await fetch(`${siteUrl}/.netlify/functions/${name}${search}`, {
+      method: 'POST',
+      headers: { 'X-Worker-Token': token },
+      timeout: 10000,
+      maxRedirects: 0
+    });
+    return res.status === 202;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  MAX_SITES_PER_JOB,
+  createJob,
+  createJobQueue,
+  fillQueue,
+  runJob,
+  processQueue,
+  startWorker
+};
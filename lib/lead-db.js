@@ -0,0 +1,126 @@
+/**
+ * Incremental lead database for the CLI
+ *
+ * A JSON-lines file, one lead per line, that every CLI run merges into.
+ * Leads are matched on their OSM element first and their website domain
+ * second (see identityKeys() in lib/leads.js), and carry `firstSeen`,
+ * `lastSeen` and `timesSeen`. The whole file is rewritten on save, via a
+ * temp file and rename so an interrupted run can't leave it half-written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { identityKeys, websiteDomain } = require('./leads');
+const { STATUS_FIELDS } = require('./status');
+
+// Fields only a website check sets; left alone when a run didn't check
+const TRACKING_FIELDS = [
+  'hasGA', 'hasFB', 'trackers', 'detections', 'contacts', 'pagesChecked',
+  'finalUrl', 'statusChain', 'checkedAt', 'trackingError',
+  'emailSource', 'phoneSource', 'socials', 'contactForm'
+];
+
+function readLines(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return text.split('\n').filter(line => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new Error(`Lead database ${file} line ${i + 1} is not valid JSON`);
+    }
+  });
+}
+
+// Copy fresh values over a stored lead without blanking what we knew.
+// Outreach status is only ever changed through setLeadStatus().
+function mergeLead(stored, fresh) {
+  const checked = Boolean(fresh.checkedAt || fresh.trackingError);
+  for (const [field, value] of Object.entries(fresh)) {
+    if (value === undefined || value === '') continue;
+    if (STATUS_FIELDS.includes(field)) continue;
+    if (!checked && TRACKING_FIELDS.includes(field)) continue;
+    stored[field] = value;
+  }
+  return stored;
+}
+
+/**
+ * Open (or start) a lead database
+ *
+ * Returns { leads, find, lookup, upsert, save }:
+ *   find(biz)        - the stored lead matching biz, or null
+ *   lookup(ref)      - leads matching a website domain, OSM element
+ *                      ("node/123") or part of the business name
+ *   upsert(biz, now) - merge biz in; returns { lead, isNew }
+ *   save()           - write the file
+ */
+function openLeadDb(file) {
+  const leads = readLines(file);
+  const index = new Map();
+
+  const indexLead = lead => {
+    for (const key of identityKeys(lead)) {
+      if (!index.has(key)) index.set(key, lead);
+    }
+  };
+  leads.forEach(indexLead);
+
+  const find = biz => {
+    for (const key of identityKeys(biz)) {
+      if (index.has(key)) return index.get(key);
+    }
+    return null;
+  };
+
+  const lookup = ref => {
+    const text = String(ref).trim().toLowerCase();
+    const osm = text.match(/^(?:osm:)?(node|way|relation)\/(\d+)$/);
+    if (osm) {
+      const lead = index.get(`osm:${osm[1]}/${osm[2]}`);
+      return lead ? [lead] : [];
+    }
+
+    const domain = text.includes('.') && !/\s/.test(text) ? websiteDomain(text) : '';
+    if (domain && index.has(`domain:${domain}`)) return [index.get(`domain:${domain}`)];
+
+    const exact = leads.filter(lead => (lead.name || '').toLowerCase() === text);
+    if (exact.length > 0) return exact;
+    return leads.filter(lead => (lead.name || '').toLowerCase().includes(text));
+  };
+
+  const upsert = (biz, now = new Date().toISOString()) => {
+    const existing = find(biz);
+    if (existing) {
+      mergeLead(existing, biz);
+      existing.lastSeen = now;
+      existing.timesSeen = (existing.timesSeen || 1) + 1;
+      indexLead(existing);
+      return { lead: existing, isNew: false };
+    }
+
+    const lead = { ...biz, firstSeen: now, lastSeen: now, timesSeen: 1 };
+    leads.push(lead);
+    indexLead(lead);
+    return { lead, isNew: true };
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, leads.map(lead => JSON.stringify(lead)).join('\n') + (leads.length ? '\n' : ''), 'utf8');
+    fs.renameSync(tmp, file);
+  };
+
+  return { leads, find, lookup, upsert, save };
+}
+
+module.exports = {
+  openLeadDb
+};
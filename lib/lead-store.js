@@ -0,0 +1,220 @@
+/**
+ * Sharded lead storage for the Netlify functions
+ *
+ * Instead of one ever-growing `all-leads` array, every lead is its own blob
+ * (`leads/<hash of leadKey>`) and a single `index` blob holds a small
+ * summary of each lead for listings, queries and stats. Full leads are only
+ * loaded for bulk exports and status updates.
+ *
+ * Writes are safe under overlapping runs: new leads are created with
+ * `onlyIfNew`, and read-modify-write updates (the index, a lead's status)
+ * use ETag conditional writes, re-reading and retrying on conflict.
+ *
+ * Like lib/audit.js, functions pass in their blob store; this module
+ * doesn't import @netlify/blobs itself.
+ */
+
+const crypto = require('crypto');
+const { leadKey } = require('./leads');
+const { sleep, mapPool } = require('./throttle');
+
+const INDEX_KEY = 'index';
+const LEAD_PREFIX = 'leads/';
+const LEGACY_KEY = 'all-leads';
+
+// Leads copied per index write while migrating `all-leads`, and blob
+// writes in flight
+const MIGRATION_BATCH = 200;
+const WRITE_CONCURRENCY = 10;
+
+// Lead fields copied into the index: enough for the lead browser,
+// filters, stats and map, without detections, contacts or notes history
+const SUMMARY_FIELDS = [
+  'name', 'category', 'website', 'phone', 'email', 'address', 'city', 'state',
+  'lat', 'lon', 'scrapedCity', 'scrapedAt', 'hasGA', 'hasFB', 'trackers',
+  'status', 'statusUpdatedAt', 'checkedAt', 'recheckedAt', 'recheckError',
+  'trackersChangedAt', 'trackerChange'
+];
+
+const STRONG = { type: 'json', consistency: 'strong' };
+
+function blobKey(key) {
+  return LEAD_PREFIX + crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+function summarizeLead(lead) {
+  const summary = {};
+  for (const field of SUMMARY_FIELDS) {
+    if (lead[field] !== undefined) summary[field] = lead[field];
+  }
+  return summary;
+}
+
+/**
+ * Read-modify-write one JSON blob with an ETag check
+ *
+ * `mutate(current)` gets the stored value (null if missing) and returns the
+ * new value, or undefined to leave it alone. If another writer got there
+ * first, the blob is re-read and `mutate` runs again, so it must not have
+ * side effects beyond building its return value. Resolves to the value
+ * written (or the unchanged current value); rejects with an error whose
+ * `conflict` is true when every attempt lost the race.
+ *
+ * Options:
+ *   retries   - extra attempts after a conflict (default 5)
+ *   baseDelay - backoff base in ms between attempts (default 100)
+ */
+async function updateJSON(store, key, mutate, options = {}) {
+  const retries = options.retries === undefined ? 5 : options.retries;
+  const baseDelay = options.baseDelay === undefined ? 100 : options.baseDelay;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const current = await store.getWithMetadata(key, STRONG);
+    const next = await mutate(current ? current.data : null);
+    if (next === undefined) return current ? current.data : null;
+
+    const result = current
+      ? await store.setJSON(key, next, { onlyIfMatch: current.etag })
+      : await store.setJSON(key, next, { onlyIfNew: true });
+    if (result.modified) return next;
+
+    await sleep(Math.round(Math.random() * baseDelay * 2 ** attempt));
+  }
+
+  const error = new Error(`Write conflict on "${key}" after ${retries + 1} attempts`);
+  error.conflict = true;
+  throw error;
+}
+
+/**
+ * Wrap a blob store (getStore('leads')) as a lead store
+ *
+ * Returns:
+ *   summaries()        - [{ key, ...summary }] for every lead
+ *   getLead(key)       - the full lead, or null
+ *   getLeads(keys)     - [{ key, ...lead }] for these keys (missing ones
+ *                        skipped)
+ *   addLeads(leads)    - store leads whose key isn't taken yet; resolves to
+ *                        { added, total }. Stored copies always win, so
+ *                        re-scrapes never touch outreach status or notes.
+ *   updateLead(key, mutate) - read-modify-write one lead; `mutate(lead)`
+ *                        changes it in place. Resolves to the lead, or null
+ *                        if there's no such lead.
+ *   migrateLegacy({ deadline, log }) - copy leads from the single
+ *                        `all-leads` blob of older deploys, in batches that
+ *                        each update the index, until done or `deadline`
+ *                        (ms). Resolves to { migrated, remaining }; call
+ *                        again to carry on. Run from the scheduled and
+ *                        background functions, not on request paths.
+ */
+function createLeadStore(store) {
+  const readIndex = async () => (await store.get(INDEX_KEY, STRONG)) || { leads: {} };
+
+  const summaries = async () => {
+    const index = await readIndex();
+    return Object.entries(index.leads).map(([key, summary]) => ({ key, ...summary }));
+  };
+
+  const getLead = async key => {
+    const lead = await store.get(blobKey(key), { type: 'json' });
+    return lead || null;
+  };
+
+  const getLeads = async keys => {
+    const leads = await mapPool(keys, async key => {
+      const lead = await getLead(key);
+      return lead && { key, ...lead };
+    }, { concurrency: 10 });
+    return leads.filter(Boolean);
+  };
+
+  const insertLeads = async leads => {
+    // Create the lead blobs first; a key that already has one is skipped
+    const unique = new Map();
+    for (const lead of leads) {
+      const key = leadKey(lead);
+      if (!unique.has(key)) unique.set(key, { key, lead });
+    }
+    const added = [];
+    const existing = [];
+    await mapPool([...unique.values()], async entry => {
+      const result = await store.setJSON(blobKey(entry.key), entry.lead, { onlyIfNew: true });
+      (result.modified ? added : existing).push(entry);
+    }, { concurrency: WRITE_CONCURRENCY });
+
+    // Then list them in the index. Existing leads missing from it (a run
+    // that died between the two steps) are listed too.
+    const index = await updateJSON(store, INDEX_KEY, current => {
+      const next = current || { leads: {} };
+      const missing = [...added, ...existing].filter(({ key }) => !next.leads[key]);
+      if (missing.length === 0 && current) return undefined;
+      for (const { key, lead } of missing) {
+        next.leads[key] = summarizeLead(lead);
+      }
+      next.updatedAt = new Date().toISOString();
+      return next;
+    });
+
+    return { added: added.map(a => a.lead), total: Object.keys(index.leads).length };
+  };
+
+  const addLeads = async leads => insertLeads(leads);
+
+  const updateLead = async (key, mutate) => {
+    const lead = await updateJSON(store, blobKey(key), current => {
+      if (!current) return undefined;
+      mutate(current);
+      return current;
+    });
+    if (!lead) return null;
+
+    await updateJSON(store, INDEX_KEY, current => {
+      const next = current || { leads: {} };
+      next.leads[key] = summarizeLead(lead);
+      next.updatedAt = new Date().toISOString();
+      return next;
+    });
+    return lead;
+  };
+
+  const migrateLegacy = async ({ deadline = Infinity, log = () => {} } = {}) => {
+    const index = await readIndex();
+    if (index.legacyMigratedAt) return { migrated: 0, remaining: 0 };
+
+    const legacy = (await store.get(LEGACY_KEY, STRONG)) || [];
+    const seen = new Set(Object.keys(index.leads));
+    const pending = legacy.filter(lead => {
+      const key = leadKey(lead);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (pending.length > 0) log(`Migrating ${pending.length} leads from "${LEGACY_KEY}" to per-lead blobs`);
+
+    let migrated = 0;
+    while (migrated < pending.length && Date.now() < deadline) {
+      const batch = pending.slice(migrated, migrated + MIGRATION_BATCH);
+      await insertLeads(batch);
+      migrated += batch.length;
+    }
+
+    const remaining = pending.length - migrated;
+    if (remaining === 0) {
+      // Done: later runs don't need to read `all-leads` again
+      await updateJSON(store, INDEX_KEY, current => ({ leads: {}, ...current, legacyMigratedAt: new Date().toISOString() }));
+      if (migrated > 0) log(`Migration done: ${migrated} leads copied`);
+    } else {
+      log(`Migrated ${migrated} leads, ${remaining} left for the next run`);
+    }
+    return { migrated, remaining };
+  };
+
+  return { summaries, getLead, getLeads, addLeads, updateLead, migrateLegacy };
+}
+
+module.exports = {
+  SUMMARY_FIELDS,
+  summarizeLead,
+  updateJSON,
+  createLeadStore
+};
@@ -0,0 +1,99 @@
+/**
+ * Lead normalization and dedupe helpers
+ */
+
+// Convert an Overpass element to our business/lead format
+function normalizeBusiness(el, { category, scrapedCity } = {}) {
+  const tags = el.tags || {};
+
+  // Get coordinates (for ways, use the center)
+  const lat = el.lat || (el.center && el.center.lat);
+  const lon = el.lon || (el.center && el.center.lon);
+
+  // Build address
+  const addressParts = [
+    tags['addr:housenumber'],
+    tags['addr:street'],
+    tags['addr:city'],
+    tags['addr:state'],
+    tags['addr:postcode']
+  ].filter(Boolean);
+
+  const business = {
+    name: tags.name || tags['name:en'] || 'Unknown Business',
+    category,
+    website: tags.website || tags['contact:website'] || tags.url || '',
+    phone: tags.phone || tags['contact:phone'] || '',
+    email: tags.email || tags['contact:email'] || '',
+    address: addressParts.join(', ') || '',
+    street: [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' '),
+    postcode: tags['addr:postcode'] || '',
+    city: tags['addr:city'] || scrapedCity || '',
+    state: tags['addr:state'] || '',
+    lat,
+    lon,
+    osmId: el.id,
+    osmType: el.type,
+    source: 'OpenStreetMap'
+  };
+
+  if (scrapedCity) {
+    business.scrapedAt = new Date().toISOString();
+    business.scrapedCity = scrapedCity;
+  }
+
+  return business;
+}
+
+// Filter out entries without names and deduplicate by name
+function dedupeBusinesses(businesses) {
+  const seen = new Set();
+  return businesses.filter(b => {
+    if (b.name === 'Unknown Business') return false;
+    const key = b.name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Key used to dedupe stored leads across runs
+function leadKey(lead) {
+  return `${lead.name.toLowerCase()}-${(lead.scrapedCity || lead.city || '').toLowerCase()}`;
+}
+
+// Detected vendor ids; leads stored before `trackers` existed only have
+// hasGA/hasFB
+function leadTrackers(lead) {
+  return lead.trackers || [...(lead.hasGA ? ['ga'] : []), ...(lead.hasFB ? ['fb'] : [])];
+}
+
+// Website hostname without www., or '' if there's no usable website
+function websiteDomain(website) {
+  if (!website) return '';
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// Identity keys for the CLI lead database: the OSM element, and the
+// website domain (so the same business mapped twice still matches)
+function identityKeys(lead) {
+  const keys = [];
+  if (lead.osmId) keys.push(`osm:${lead.osmType || 'node'}/${lead.osmId}`);
+  const domain = websiteDomain(lead.website);
+  if (domain) keys.push(`domain:${domain}`);
+  return keys;
+}
+
+module.exports = {
+  normalizeBusiness,
+  dedupeBusinesses,
+  leadKey,
+  websiteDomain,
+  identityKeys,
+  leadTrackers
+};
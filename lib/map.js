@@ -0,0 +1,96 @@
+/**
+ * Map view helpers
+ *
+ * The dashboard map draws leads from their `lat`/`lon`, and a rectangle or
+ * polygon drawn on it becomes the `area` lead filter (lib/query.js), so the
+ * lead browser, downloads and CRM push all stick to that territory. Tiles
+ * come from a configurable URL so the map also works against a local tile
+ * server.
+ */
+
+const { leadTrackers } = require('./leads');
+
+const DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const DEFAULT_ATTRIBUTION = '© OpenStreetMap contributors';
+const DEFAULT_MAX_ZOOM = 19;
+
+// Most vertices accepted in an area, to keep query strings sane
+const MAX_AREA_POINTS = 100;
+
+// What a pin carries, with its trackers: enough to place, color and label
+// it. Contact details are fetched for one lead at a time when its pin is
+// clicked, so the pin list never amounts to a download of every lead.
+const MAP_FIELDS = ['key', 'name', 'lat', 'lon', 'status'];
+
+// Most pins in one response
+const MAX_MAP_PINS = 5000;
+
+/**
+ * Tile settings from the environment
+ *
+ *   MAP_TILE_URL          - tile URL template with {z}, {x}, {y} and
+ *                           optionally {s} (a, b, c subdomains)
+ *   MAP_TILE_ATTRIBUTION  - credit shown on the map
+ *   MAP_MAX_ZOOM          - highest zoom level the tile server has
+ */
+function getMapSettings(env = process.env) {
+  const maxZoom = parseInt(env.MAP_MAX_ZOOM, 10);
+  return {
+    tileUrl: env.MAP_TILE_URL || DEFAULT_TILE_URL,
+    attribution: env.MAP_TILE_ATTRIBUTION === undefined ? DEFAULT_ATTRIBUTION : env.MAP_TILE_ATTRIBUTION,
+    maxZoom: Number.isInteger(maxZoom) && maxZoom >= 1 && maxZoom <= 22 ? maxZoom : DEFAULT_MAX_ZOOM
+  };
+}
+
+/**
+ * Parse an `area` parameter: "lat,lon;lat,lon;..." with at least three
+ * points (a rectangle is sent as its four corners)
+ *
+ * Returns a list of [lat, lon], or null when the value isn't a usable
+ * polygon.
+ */
+function parseArea(value) {
+  if (!value) return null;
+  const points = String(value).split(';').map(pair => pair.split(',').map(Number));
+  const valid = points.length >= 3 && points.length <= MAX_AREA_POINTS && points.every(([lat, lon, extra]) =>
+    extra === undefined && Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180);
+  return valid ? points : null;
+}
+
+// Ray casting: true if the lead's coordinates fall inside the polygon
+function inArea(lead, points) {
+  const { lat, lon } = lead;
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lonI] = points[i];
+    const [latJ, lonJ] = points[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Leads with coordinates, cut down to MAP_FIELDS and their trackers
+function mapLeads(leads) {
+  return leads
+    .filter(lead => Number.isFinite(lead.lat) && Number.isFinite(lead.lon))
+    .map(lead => {
+      const pin = {};
+      for (const field of MAP_FIELDS) {
+        if (lead[field] !== undefined) pin[field] = lead[field];
+      }
+      pin.trackers = leadTrackers(lead);
+      return pin;
+    });
+}
+
+module.exports = {
+  MAX_MAP_PINS,
+  getMapSettings,
+  parseArea,
+  inArea,
+  mapLeads
+};
@@ -0,0 +1,145 @@
+/**
+ * OpenStreetMap Overpass API queries
+ */
+
+const { postForm } = require('./http');
+const { withRetry } = require('./retry');
+const { cached } = require('./cache');
+const { getCategoryTags } = require('./categories');
+const { normalizeBusiness, dedupeBusinesses } = require('./leads');
+
+const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+
+// Public mirrors tried in turn when an attempt fails. Override with the
+// `endpoints` option or the OVERPASS_ENDPOINTS env var (comma-separated).
+const DEFAULT_OVERPASS_ENDPOINTS = [
+  OVERPASS_URL,
+  'https://overpass.kumi.systems/api/interpreter',
+  'https://overpass.private.coffee/api/interpreter'
+];
+
+function getOverpassEndpoints() {
+  const fromEnv = (process.env.OVERPASS_ENDPOINTS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+  return fromEnv.length > 0 ? fromEnv : DEFAULT_OVERPASS_ENDPOINTS;
+}
+
+// Build an Overpass QL query for all tags of a category around a point
+function buildOverpassQuery(category, coords, radius, tags = getCategoryTags(category)) {
+  const nodeQueries = tags.map(tag =>
+    `node[${tag}](around:${radius},${coords.lat},${coords.lon});`
+  ).join('\n    ');
+
+  const wayQueries = tags.map(tag =>
+    `way[${tag}](around:${radius},${coords.lat},${coords.lon});`
+  ).join('\n    ');
+
+  return `
+[out:json][timeout:30];
+(
+    ${nodeQueries}
+    ${wayQueries}
+);
+out body center;
+  `.trim();
+}
+
+// POST a query, rotating through the mirrors on failure. Resolves to the
+// raw JSON body.
+async function queryOverpass(query, options, log) {
+  const endpoints = options.endpoints && options.endpoints.length > 0
+    ? options.endpoints
+    : getOverpassEndpoints();
+  const endpointFor = attempt => endpoints[attempt % endpoints.length];
+  const stats = options.stats || {};
+
+  const response = await withRetry(
+    attempt => {
+      stats.attempts = attempt + 1;
+      stats.endpoint = new URL(endpointFor(attempt)).host;
+      return postForm(endpointFor(attempt), `data=${encodeURIComponent(query)}`, {
+        timeout: 60000,
+        maxBytes: 50 * 1024 * 1024
+      });
+    },
+    {
+      retries: options.retries === undefined ? Math.max(3, endpoints.length) : options.retries,
+      baseDelay: options.baseDelay,
+      maxDelay: options.maxDelay,
+      label: attempt => `Overpass attempt ${attempt + 1} via ${new URL(endpointFor(attempt)).host}`,
+      log
+    }
+  );
+
+  if (response.status !== 200) {
+    throw new Error(`Overpass API error: ${response.status}`);
+  }
+
+  return response.body;
+}
+
+// Overpass answers a query that ran out of time or memory with a 200, a
+// `remark` and whatever elements it had; only complete answers are cached
+function cacheable(body) {
+  if (!body) return false;
+  try {
+    return !JSON.parse(body).remark;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Query OpenStreetMap Overpass API
+ *
+ * Returns every named business (deduped by name) around `coords`. Callers
+ * decide whether to drop businesses without websites or cap the count.
+ *
+ * Options:
+ *   radius      - search radius in meters (default 25000)
+ *   tags        - OSM tags to match (default: getCategoryTags(category))
+ *   scrapedCity - city label stored on each business
+ *   endpoints   - Overpass URLs; attempt N goes to endpoints[N % length]
+ *   retries, baseDelay, maxDelay - see lib/retry.js
+ *   cache       - lib/cache.js cache; raw responses are keyed by the query
+ *   log         - progress logger (also gets one line per failed attempt)
+ *   stats       - object filled in with { ms, attempts, endpoint, results }:
+ *                 time taken, requests made (0 from cache), the mirror that
+ *                 answered last and raw result count
+ */
+async function searchOpenStreetMap(category, coords, options = {}) {
+  const log = options.log || (() => {});
+  const query = buildOverpassQuery(category, coords, options.radius || 25000, options.tags);
+  const stats = options.stats || {};
+  const started = Date.now();
+  stats.attempts = 0;
+
+  const body = await cached(options.cache, 'overpass', query, () => queryOverpass(query, { ...options, stats }, log), cacheable);
+  const data = JSON.parse(body);
+  if (data.remark) log(`Overpass remark: ${data.remark}`);
+  stats.ms = Date.now() - started;
+  stats.results = data.elements ? data.elements.length : 0;
+
+  if (!data.elements || data.elements.length === 0) {
+    return [];
+  }
+
+  log(`Found ${data.elements.length} results from OpenStreetMap`);
+
+  const businesses = data.elements.map(el => normalizeBusiness(el, {
+    category,
+    scrapedCity: options.scrapedCity
+  }));
+
+  return dedupeBusinesses(businesses);
+}
+
+module.exports = {
+  OVERPASS_URL,
+  DEFAULT_OVERPASS_ENDPOINTS,
+  getOverpassEndpoints,
+  buildOverpassQuery,
+  searchOpenStreetMap
+};
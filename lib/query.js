@@ -0,0 +1,163 @@
+/**
+ * Lead search, filtering, sorting and pagination
+ *
+ * Backs the dashboard lead browser: get-leads parses its query string with
+ * parseLeadQuery() and returns one page from queryLeads(), so the browser
+ * never downloads the whole lead list.
+ */
+
+const { getLeadStatus } = require('./status');
+const { leadTrackers } = require('./leads');
+const { parseArea, inArea } = require('./map');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable fields: name => value used for comparison
+const SORT_FIELDS = {
+  name: l => (l.name || '').toLowerCase(),
+  category: l => (l.category || '').toLowerCase(),
+  city: l => (l.city || '').toLowerCase(),
+  state: l => (l.state || '').toLowerCase(),
+  status: l => getLeadStatus(l),
+  trackers: l => leadTrackers(l).length,
+  scrapedAt: l => l.scrapedAt || '',
+  statusUpdatedAt: l => l.statusUpdatedAt || '',
+  trackersChangedAt: l => l.trackersChangedAt || ''
+};
+
+// Query-string parameters that filter (as opposed to paging/sorting)
+const FILTER_PARAMS = ['q', 'category', 'city', 'state', 'tracker', 'status', 'from', 'to', 'changedSince', 'area'];
+
+const SEARCH_FIELDS = ['name', 'website', 'email', 'phone', 'address', 'city', 'state', 'category'];
+
+function toInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+/**
+ * Build a query from URLSearchParams
+ *
+ * Parameters (all optional):
+ *   q                      - text search over name, website, contact and address
+ *   category, city, state  - exact match, case-insensitive
+ *   tracker                - vendor id ("ga", "fb", "hotjar", …), "any" or "none"
+ *   status                 - outreach status
+ *   from, to               - scrapedAt date range, YYYY-MM-DD, inclusive
+ *   changedSince           - trackers changed by a re-check on or after
+ *                            this date, YYYY-MM-DD
+ *   area                   - polygon drawn on the map, "lat,lon;lat,lon;...";
+ *                            only leads inside it match (none if the value
+ *                            isn't a valid polygon)
+ *   sort, order            - SORT_FIELDS key and asc/desc (default scrapedAt desc)
+ *   page, pageSize         - 1-based page, up to MAX_PAGE_SIZE per page
+ */
+function parseLeadQuery(params) {
+  const get = name => (params.get(name) || '').trim();
+  const sort = SORT_FIELDS[get('sort')] ? get('sort') : 'scrapedAt';
+  const defaultOrder = ['scrapedAt', 'statusUpdatedAt', 'trackersChangedAt', 'trackers'].includes(sort) ? 'desc' : 'asc';
+
+  return {
+    q: get('q').toLowerCase(),
+    category: get('category').toLowerCase(),
+    city: get('city').toLowerCase(),
+    state: get('state').toLowerCase(),
+    tracker: get('tracker').toLowerCase(),
+    status: get('status').toLowerCase(),
+    from: get('from'),
+    to: get('to'),
+    changedSince: get('changedSince'),
+    area: get('area') ? parseArea(get('area')) || [] : null,
+    sort,
+    order: get('order') === 'asc' || get('order') === 'desc' ? get('order') : defaultOrder,
+    page: Math.max(1, toInt(get('page'), 1)),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, toInt(get('pageSize'), DEFAULT_PAGE_SIZE)))
+  };
+}
+
+// True when the query string asks for a filtered or paged result
+function isLeadQuery(params) {
+  return params.has('page') || params.has('sort') || FILTER_PARAMS.some(name => params.get(name));
+}
+
+function matchesTracker(lead, tracker) {
+  const trackers = leadTrackers(lead);
+  if (tracker === 'any') return trackers.length > 0;
+  if (tracker === 'none') return trackers.length === 0;
+  return trackers.includes(tracker);
+}
+
+// Leads matching every filter in the query
+function filterLeads(leads, query) {
+  const day = value => (value || '').slice(0, 10);
+
+  return leads.filter(lead => {
+    if (query.category && (lead.category || '').toLowerCase() !== query.category) return false;
+    if (query.city && (lead.city || '').toLowerCase() !== query.city) return false;
+    if (query.state && (lead.state || '').toLowerCase() !== query.state) return false;
+    if (query.status && getLeadStatus(lead) !== query.status) return false;
+    if (query.tracker && !matchesTracker(lead, query.tracker)) return false;
+    if (query.from && day(lead.scrapedAt) < query.from) return false;
+    if (query.to && day(lead.scrapedAt) > query.to) return false;
+    if (query.changedSince && day(lead.trackersChangedAt) < query.changedSince) return false;
+    if (query.area && !inArea(lead, query.area)) return false;
+    if (query.q && !SEARCH_FIELDS.some(f => String(lead[f] || '').toLowerCase().includes(query.q))) return false;
+    return true;
+  });
+}
+
+function sortLeads(leads, query) {
+  const value = SORT_FIELDS[query.sort];
+  const direction = query.order === 'desc' ? -1 : 1;
+  return [...leads].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * direction;
+  });
+}
+
+// Distinct values for the dashboard's filter dropdowns
+function leadFacets(leads) {
+  const distinct = get => [...new Set(leads.flatMap(get).filter(Boolean))].sort();
+  return {
+    categories: distinct(l => [l.category]),
+    cities: distinct(l => [l.city]),
+    states: distinct(l => [l.state]),
+    trackers: distinct(leadTrackers),
+    statuses: distinct(l => [getLeadStatus(l)])
+  };
+}
+
+/**
+ * Run a query over all leads
+ *
+ * Returns { total, page, pageSize, pages, sort, order, leads } where
+ * `leads` is just the requested page and `total` counts every match.
+ */
+function queryLeads(leads, query) {
+  const matched = sortLeads(filterLeads(leads, query), query);
+  const pages = Math.max(1, Math.ceil(matched.length / query.pageSize));
+  const page = Math.min(query.page, pages);
+  const start = (page - 1) * query.pageSize;
+
+  return {
+    total: matched.length,
+    page,
+    pageSize: query.pageSize,
+    pages,
+    sort: query.sort,
+    order: query.order,
+    leads: matched.slice(start, start + query.pageSize)
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  parseLeadQuery,
+  isLeadQuery,
+  filterLeads,
+  sortLeads,
+  leadFacets,
+  queryLeads
+};
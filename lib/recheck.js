@@ -0,0 +1,140 @@
+/**
+ * Re-checking stored leads for tracker changes
+ *
+ * A lead's trackers are checked when it is first scraped, but sites change
+ * afterwards: GA gets dropped, a privacy-friendly tool replaces it, the
+ * practice moves to a new site. Leads whose last check is older than
+ * `schedule.recheckDays` are crawled again. Every check adds a snapshot to
+ * the lead's `trackerHistory`, and a lead whose trackers changed gets
+ * `trackerChange` ({ at, added, removed }) and `trackersChangedAt`, which
+ * the dashboard lists as recently changed.
+ */
+
+const { checkBusinessesForTracking } = require('./tracking');
+const { getLeadStatus } = require('./status');
+const { leadTrackers } = require('./leads');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Snapshots kept per lead
+const HISTORY_LIMIT = 20;
+
+// Leads checked at once, between deadline checks
+const BATCH_SIZE = 5;
+
+// Fields a successful re-check refreshes; contacts and enrichment stay as
+// first scraped
+const RECHECK_FIELDS = ['hasGA', 'hasFB', 'trackers', 'detections', 'pagesChecked', 'finalUrl', 'statusChain', 'checkedAt'];
+
+// When a lead was last looked at, checked successfully or not
+const lastCheckedOf = l => l.recheckedAt || l.checkedAt || l.scrapedAt || '';
+
+function trackerSnapshot(lead, at) {
+  return { at, trackers: leadTrackers(lead), hasGA: Boolean(lead.hasGA), hasFB: Boolean(lead.hasFB) };
+}
+
+/**
+ * Apply a re-check result to a stored lead, in place
+ *
+ * `result` is a business from checkBusinessesForTracking(). A failed check
+ * (site down, DNS gone) is recorded as a snapshot with an `error` and leaves
+ * the trackers alone, so an outage never reads as a removal. Returns
+ * { changed, added, removed, error }.
+ */
+function applyRecheck(lead, result, now = new Date()) {
+  const at = now.toISOString();
+  const history = lead.trackerHistory || [trackerSnapshot(lead, lead.checkedAt || lead.scrapedAt || at)];
+  lead.recheckedAt = at;
+
+  if (result.trackingError) {
+    lead.trackerHistory = [...history, { at, error: result.trackingError }].slice(-HISTORY_LIMIT);
+    lead.recheckError = result.trackingError;
+    return { changed: false, added: [], removed: [], error: result.trackingError };
+  }
+
+  const before = leadTrackers(lead);
+  for (const field of RECHECK_FIELDS) {
+    if (result[field] !== undefined) lead[field] = result[field];
+  }
+  delete lead.recheckError;
+
+  const after = leadTrackers(lead);
+  const added = after.filter(id => !before.includes(id));
+  const removed = before.filter(id => !after.includes(id));
+  const changed = added.length > 0 || removed.length > 0;
+
+  lead.trackerHistory = [...history, trackerSnapshot(lead, at)].slice(-HISTORY_LIMIT);
+  if (changed) {
+    lead.trackerChange = { at, added, removed };
+    lead.trackersChangedAt = at;
+  }
+  return { changed, added, removed, error: null };
+}
+
+// Leads due a re-check, least recently checked first. Leads marked
+// do-not-contact are left alone.
+function staleLeads(leads, { recheckDays, now = Date.now() }) {
+  const cutoff = new Date(now - recheckDays * DAY).toISOString();
+  return leads
+    .filter(lead => lead.website && getLeadStatus(lead) !== 'do-not-contact' && lastCheckedOf(lead) < cutoff)
+    .sort((a, b) => lastCheckedOf(a).localeCompare(lastCheckedOf(b)));
+}
+
+/**
+ * Re-check stale leads until there are none left or `deadline` (ms) passes
+ *
+ * `leadStore` is a lib/lead-store.js store. Resolves to
+ * { checked, changed, failed, unsaved, remaining }: `failed` sites couldn't
+ * be reached, `unsaved` results were lost to a write conflict (those leads
+ * stay stale and are re-checked next time).
+ */
+async function recheckLeads({ leadStore, recheckDays, deadline, log = () => {} }) {
+  const stale = staleLeads(await leadStore.summaries(), { recheckDays });
+  const summary = { checked: 0, changed: 0, failed: 0, unsaved: 0, remaining: stale.length };
+
+  for (let i = 0; i < stale.length && Date.now() < deadline; i += BATCH_SIZE) {
+    const batch = stale.slice(i, i + BATCH_SIZE);
+    const results = await checkBusinessesForTracking(batch.map(lead => ({ name: lead.name, website: lead.website })), undefined, {
+      concurrency: BATCH_SIZE,
+      rps: 5,
+      perHostInterval: 1000,
+      timeout: 15000,
+      maxPages: 3,
+      maxDepth: 1
+    });
+
+    for (const [j, lead] of batch.entries()) {
+      let outcome;
+      summary.checked++;
+      summary.remaining--;
+      try {
+        await leadStore.updateLead(lead.key, stored => {
+          outcome = applyRecheck(stored, results[j]);
+        });
+      } catch (error) {
+        log(`Could not save re-check of ${lead.name}: ${error.message}`);
+        summary.unsaved++;
+        continue;
+      }
+      if (!outcome) continue;
+      if (outcome.error) summary.failed++;
+      if (outcome.changed) {
+        summary.changed++;
+        const parts = [
+          ...outcome.added.map(id => `+${id}`),
+          ...outcome.removed.map(id => `-${id}`)
+        ];
+        log(`Trackers changed: ${lead.name} (${parts.join(', ')})`);
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  trackerSnapshot,
+  applyRecheck,
+  staleLeads,
+  recheckLeads
+};
@@ -0,0 +1,84 @@
+/**
+ * Retries with exponential backoff
+ *
+ * Used for the shared OSM services (Overpass, Nominatim), which answer
+ * 429/502/503/504 under load. Waits follow "full jitter" backoff, except
+ * that a Retry-After header always wins when the server sends one.
+ */
+
+const { sleep } = require('./throttle');
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Parse Retry-After (delta seconds or HTTP date) into ms, or null
+function retryAfterMs(headers) {
+  const value = headers && headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Random delay in [0, min(maxDelay, baseDelay * 2^attempt)]
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+/**
+ * Call `request(attempt)` until it returns a non-retryable response
+ *
+ * `request` resolves to a fetch() response; network errors and statuses in
+ * RETRYABLE_STATUSES are retried. Resolves to the first non-retryable
+ * response, or the last response once retries run out. Rejects with the
+ * last network error if every attempt threw.
+ *
+ * Options:
+ *   retries   - extra attempts after the first (default 3)
+ *   baseDelay - backoff base in ms (default 1000)
+ *   maxDelay  - cap for any single wait, Retry-After included (default 30000)
+ *   label     - (attempt) => description used in log lines
+ *   log       - logger for each failed attempt
+ */
+async function withRetry(request, options = {}) {
+  const retries = options.retries === undefined ? 3 : options.retries;
+  const baseDelay = options.baseDelay === undefined ? 1000 : options.baseDelay;
+  const maxDelay = options.maxDelay === undefined ? 30000 : options.maxDelay;
+  const label = options.label || (attempt => `attempt ${attempt + 1}`);
+  const log = options.log || (() => {});
+
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let failure;
+
+    try {
+      response = await request(attempt);
+      if (!RETRYABLE_STATUSES.has(response.status)) return response;
+      failure = `HTTP ${response.status}`;
+    } catch (error) {
+      if (attempt >= retries) {
+        log(`${label(attempt)} failed: ${error.message}; giving up after ${attempt + 1} attempts`);
+        throw error;
+      }
+      failure = error.message;
+    }
+
+    if (attempt >= retries) {
+      log(`${label(attempt)} failed: ${failure}; giving up after ${attempt + 1} attempts`);
+      return response;
+    }
+
+    const hinted = response && retryAfterMs(response.headers);
+    const wait = Math.min(maxDelay, hinted !== null && hinted !== undefined ? hinted : backoffDelay(attempt, baseDelay, maxDelay));
+    log(`${label(attempt)} failed: ${failure}; retrying in ${(wait / 1000).toFixed(1)}s`);
+    await sleep(wait);
+  }
+}
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  retryAfterMs,
+  withRetry
+};
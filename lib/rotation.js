@@ -0,0 +1,207 @@
+/**
+ * Scheduled-job rotation config
+ *
+ * What the hourly job scrapes lives in a config blob (`config` in the
+ * `state` store) that admins edit from the dashboard, instead of the
+ * CATEGORIES / ROTATION_CITIES arrays. The built-in lists are only the
+ * default for a site that has never saved a config.
+ *
+ * Which enabled pair runs next is up to lib/schedule.js; the `schedule`
+ * section here holds its refresh and backoff settings, how many jobs the
+ * hourly run keeps queued (lib/jobs.js), how often stored leads are
+ * re-checked (lib/recheck.js) and how long run records are kept
+ * (lib/runs.js).
+ */
+
+const { CATEGORY_TAGS, CATEGORIES } = require('./categories');
+const { ROTATION_CITIES, getCity } = require('./cities');
+
+const CONFIG_KEY = 'config';
+
+const DEFAULT_RADIUS = 25000;
+const MIN_RADIUS = 1000;
+const MAX_RADIUS = 100000;
+
+// Days before a productive pair is scraped again, the longest a pair that
+// keeps finding nothing is left alone, city/category jobs kept queued, days
+// before a stored lead's trackers are checked again, and days run records
+// are kept
+const DEFAULT_SCHEDULE = { refreshDays: 14, maxBackoffDays: 180, queueSize: 6, recheckDays: 30, runRetentionDays: 30 };
+const SCHEDULE_LIMITS = {
+  refreshDays: [1, 365, 'days'],
+  maxBackoffDays: [1, 365, 'days'],
+  queueSize: [1, 50, 'jobs'],
+  recheckDays: [1, 365, 'days'],
+  runRetentionDays: [1, 365, 'days']
+};
+
+// OSM tag filters as written inside Overpass [...]: key=value, key~"regex",i
+const OSM_TAG = /^[A-Za-z0-9_:]+(?:=|!=|~)(?:[A-Za-z0-9_:.\- ]+|"[^"\\[\];()]*"(?:,i)?)$/;
+
+function defaultRotationConfig() {
+  return {
+    cities: ROTATION_CITIES.map(city => ({
+      name: city.name,
+      lat: city.lat,
+      lon: city.lon,
+      radius: DEFAULT_RADIUS,
+      enabled: true,
+      weight: 1
+    })),
+    categories: CATEGORIES.map(name => ({
+      name,
+      tags: CATEGORY_TAGS[name],
+      enabled: true,
+      weight: 1
+    })),
+    schedule: { ...DEFAULT_SCHEDULE }
+  };
+}
+
+/**
+ * Validate a config (e.g. from the dashboard) and fill in defaults
+ *
+ * Cities given without coordinates are looked up in the CLI's US_CITIES
+ * table, and known categories without tags get their built-in tags.
+ * Returns a clean copy with only known fields. Throws one Error listing
+ * every problem found.
+ */
+function normalizeRotationConfig(input) {
+  const errors = [];
+  const config = input && typeof input === 'object' ? input : {};
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+  const weightOf = (item, label) => {
+    if (item.weight === undefined) return 1;
+    if (!isNumber(item.weight) || item.weight <= 0 || item.weight > 100) {
+      errors.push(`${label}: weight must be greater than 0 and at most 100`);
+    }
+    return item.weight;
+  };
+
+  const checkUnique = (seen, name, label) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) errors.push(`${label}: duplicate name`);
+    seen.add(key);
+  };
+
+  if (!Array.isArray(config.cities)) errors.push('cities must be a list');
+  if (!Array.isArray(config.categories)) errors.push('categories must be a list');
+
+  const cityNames = new Set();
+  const cities = (Array.isArray(config.cities) ? config.cities : []).map((city, i) => {
+    const label = `City ${i + 1}${city && city.name ? ` (${city.name})` : ''}`;
+    city = city || {};
+    const name = String(city.name || '').trim();
+    if (!name) errors.push(`${label}: name is required`);
+    else checkUnique(cityNames, name, label);
+    if (city.lat === undefined && city.lon === undefined) {
+      const known = getCity(name);
+      if (known) city = { ...city, lat: known.lat, lon: known.lon };
+      else if (name) errors.push(`${label}: not a built-in city; enter its lat and lon`);
+    } else {
+      if (!isNumber(city.lat) || city.lat < -90 || city.lat > 90) errors.push(`${label}: lat must be between -90 and 90`);
+      if (!isNumber(city.lon) || city.lon < -180 || city.lon > 180) errors.push(`${label}: lon must be between -180 and 180`);
+    }
+    const radius = city.radius === undefined ? DEFAULT_RADIUS : city.radius;
+    if (!isNumber(radius) || radius < MIN_RADIUS || radius > MAX_RADIUS) {
+      errors.push(`${label}: radius must be ${MIN_RADIUS}-${MAX_RADIUS} meters`);
+    }
+    return { name, lat: city.lat, lon: city.lon, radius, enabled: city.enabled !== false, weight: weightOf(city, label) };
+  });
+
+  const categoryNames = new Set();
+  const categories = (Array.isArray(config.categories) ? config.categories : []).map((category, i) => {
+    const label = `Category ${i + 1}${category && category.name ? ` (${category.name})` : ''}`;
+    category = category || {};
+    const name = String(category.name || '').trim();
+    if (!name) errors.push(`${label}: name is required`);
+    else checkUnique(categoryNames, name, label);
+    const tags = category.tags === undefined && CATEGORY_TAGS[name] ? CATEGORY_TAGS[name] : category.tags;
+    if (!Array.isArray(tags) || tags.length === 0) {
+      errors.push(`${label}: needs at least one OSM tag, e.g. amenity=dentist`);
+    } else {
+      for (const tag of tags) {
+        if (typeof tag !== 'string' || !OSM_TAG.test(tag.trim())) errors.push(`${label}: invalid OSM tag "${tag}"`);
+      }
+    }
+    return {
+      name,
+      tags: Array.isArray(tags) ? tags.map(tag => String(tag).trim()) : [],
+      enabled: category.enabled !== false,
+      weight: weightOf(category, label)
+    };
+  });
+
+  const scheduleInput = config.schedule && typeof config.schedule === 'object' ? config.schedule : {};
+  const schedule = {};
+  for (const [field, fallback] of Object.entries(DEFAULT_SCHEDULE)) {
+    const value = scheduleInput[field] === undefined ? fallback : scheduleInput[field];
+    const [min, max, unit] = SCHEDULE_LIMITS[field];
+    if (!isNumber(value) || value < min || value > max) {
+      errors.push(`schedule: ${field} must be ${min}-${max} ${unit}`);
+    }
+    schedule[field] = value;
+  }
+  if (errors.length === 0 && schedule.maxBackoffDays < schedule.refreshDays) {
+    errors.push('schedule: maxBackoffDays must be at least refreshDays');
+  }
+
+  if (errors.length === 0) {
+    if (!cities.some(c => c.enabled)) errors.push('Enable at least one city');
+    if (!categories.some(c => c.enabled)) errors.push('Enable at least one category');
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid rotation config:\n- ${errors.join('\n- ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return { cities, categories, schedule };
+}
+
+/**
+ * Load the rotation config from the state blob store
+ *
+ * Resolves to { config, etag, isDefault }; `etag` is null until a config
+ * has been saved, and goes back to saveRotationConfig() so two admins
+ * editing at once can't silently overwrite each other.
+ */
+async function loadRotationConfig(store) {
+  const saved = await store.getWithMetadata(CONFIG_KEY, { type: 'json', consistency: 'strong' });
+  if (!saved || !saved.data) {
+    return { config: defaultRotationConfig(), etag: null, isDefault: true };
+  }
+  return { config: saved.data, etag: saved.etag, isDefault: false };
+}
+
+// Validate and save a config. `etag` is the one it was loaded with (null
+// for the built-in default). Rejects with `conflict: true` if someone else
+// saved in between.
+async function saveRotationConfig(store, input, { etag, user } = {}) {
+  const config = {
+    ...normalizeRotationConfig(input),
+    updatedAt: new Date().toISOString(),
+    updatedBy: user ? user.name : null
+  };
+
+  const result = etag
+    ? await store.setJSON(CONFIG_KEY, config, { onlyIfMatch: etag })
+    : await store.setJSON(CONFIG_KEY, config, { onlyIfNew: true });
+
+  if (!result.modified) {
+    const error = new Error('The config was changed by someone else; reload and try again');
+    error.conflict = true;
+    throw error;
+  }
+  return { config, etag: result.etag, isDefault: false };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  defaultRotationConfig,
+  normalizeRotationConfig,
+  loadRotationConfig,
+  saveRotationConfig
+};
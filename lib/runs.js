@@ -0,0 +1,181 @@
+/**
+ * Scrape run records
+ *
+ * Every scheduled job leaves a record of what happened: when it ran, how
+ * long the Overpass search and the site checks took, and how each site
+ * check ended (ok, timeout, TLS error, 4xx/5xx, redirect loop, ...). That
+ * makes a run that produced zero leads explainable after the fact.
+ *
+ * Records live in the `runs` blob store as a small summary
+ * (`summaries/<id>`) for listings and the full record with per-site results
+ * (`details/<id>`). Ids start with the run's start time, so keys sort in
+ * time order and old runs can be pruned by key. Like lib/audit.js,
+ * functions pass in their blob store.
+ */
+
+const crypto = require('crypto');
+
+const SUMMARY_PREFIX = 'summaries/';
+const DETAIL_PREFIX = 'details/';
+const DEFAULT_RUN_LIMIT = 50;
+const MAX_RUN_LIMIT = 200;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Site check outcomes, matched against the error message in order
+const OUTCOME_PATTERNS = [
+  ['no-website', /^No website$|^No URL$/],
+  ['timeout', /timeout|timed out|ETIMEDOUT/i],
+  ['redirect-loop', /Redirect loop|Too many redirects/i],
+  ['tls', /certificate|SSL|TLS|EPROTO|CERT_|self[- ]signed|altnames/i],
+  ['dns', /ENOTFOUND|EAI_AGAIN/],
+  ['connection', /ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ENETUNREACH|socket hang up/i]
+];
+
+/**
+ * Classify a site check by its trackingError
+ *
+ * Returns { outcome, status } where outcome is one of ok, no-website,
+ * timeout, redirect-loop, tls, dns, connection, http-4xx, http-5xx or
+ * error, and status is the HTTP status for the http-* outcomes.
+ */
+function classifySiteError(error) {
+  if (!error) return { outcome: 'ok', status: null };
+
+  const http = String(error).match(/^HTTP (\d{3})/);
+  if (http) {
+    const status = Number(http[1]);
+    return { outcome: status >= 500 ? 'http-5xx' : 'http-4xx', status };
+  }
+
+  const match = OUTCOME_PATTERNS.find(([, pattern]) => pattern.test(error));
+  return { outcome: match ? match[0] : 'error', status: null };
+}
+
+// One checked business as a run record entry
+function siteResult(biz, { ms = null, qualified = false, added = false } = {}) {
+  const { outcome, status } = classifySiteError(biz.trackingError);
+  return {
+    name: biz.name,
+    website: biz.website,
+    outcome,
+    status,
+    error: biz.trackingError || null,
+    ms,
+    trackers: biz.trackers || [],
+    qualified,
+    added
+  };
+}
+
+// A new record for a job (lib/jobs.js), before its Overpass search
+function startRun(job, now = new Date()) {
+  return {
+    id: `${now.toISOString()}-${crypto.randomBytes(4).toString('hex')}`,
+    jobId: job.id,
+    city: job.city.name,
+    category: job.category.name,
+    reason: job.reason || null,
+    queuedAt: job.createdAt || null,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: 'running',
+    error: null,
+    attempts: 0,
+    overpass: null,
+    checkMs: 0,
+    sites: []
+  };
+}
+
+// Counts per outcome, plus qualified and added leads
+function runTotals(sites) {
+  const outcomes = {};
+  for (const site of sites) outcomes[site.outcome] = (outcomes[site.outcome] || 0) + 1;
+  return {
+    sites: sites.length,
+    ok: outcomes.ok || 0,
+    failed: sites.filter(s => s.outcome !== 'ok' && s.outcome !== 'no-website').length,
+    qualified: sites.filter(s => s.qualified).length,
+    added: sites.filter(s => s.added).length,
+    outcomes
+  };
+}
+
+// Close a record: status "ok" or "failed" (with `error`), totals filled in
+function finishRun(run, { error = null, attempts, totalLeads = null } = {}, now = new Date()) {
+  return {
+    ...run,
+    finishedAt: now.toISOString(),
+    durationMs: now - new Date(run.startedAt),
+    status: error ? 'failed' : 'ok',
+    error,
+    attempts: attempts === undefined ? run.attempts : attempts,
+    totalLeads,
+    totals: runTotals(run.sites)
+  };
+}
+
+// The record without per-site results
+function summarizeRun(run) {
+  const { sites, ...summary } = run;
+  return summary;
+}
+
+async function saveRun(store, run) {
+  await store.setJSON(DETAIL_PREFIX + run.id, run);
+  await store.setJSON(SUMMARY_PREFIX + run.id, summarizeRun(run));
+  return run;
+}
+
+// Most recent run summaries first, optionally only runs started before an
+// ISO timestamp
+async function listRuns(store, options = {}) {
+  const limit = Math.min(MAX_RUN_LIMIT, options.limit || DEFAULT_RUN_LIMIT);
+  const { blobs } = await store.list({ prefix: SUMMARY_PREFIX });
+
+  const keys = blobs
+    .map(blob => blob.key)
+    .filter(key => !options.before || key.slice(SUMMARY_PREFIX.length) < options.before)
+    .sort()
+    .reverse()
+    .slice(0, limit);
+
+  const runs = await Promise.all(keys.map(key => store.get(key, { type: 'json' })));
+  return runs.filter(Boolean);
+}
+
+// The full record, or null
+async function getRun(store, id) {
+  return (await store.get(DETAIL_PREFIX + id, { type: 'json' })) || null;
+}
+
+// Delete runs started more than `retentionDays` ago. Resolves to the
+// number removed.
+async function pruneRuns(store, { retentionDays, now = Date.now() }) {
+  const cutoff = new Date(now - retentionDays * DAY).toISOString();
+  const { blobs } = await store.list({ prefix: SUMMARY_PREFIX });
+  const expired = blobs
+    .map(blob => blob.key.slice(SUMMARY_PREFIX.length))
+    .filter(id => id < cutoff);
+
+  for (const id of expired) {
+    await store.delete(DETAIL_PREFIX + id);
+    await store.delete(SUMMARY_PREFIX + id);
+  }
+  return expired.length;
+}
+
+module.exports = {
+  classifySiteError,
+  siteResult,
+  startRun,
+  finishRun,
+  runTotals,
+  summarizeRun,
+  saveRun,
+  listRuns,
+  getRun,
+  pruneRuns
+};
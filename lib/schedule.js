@@ -0,0 +1,232 @@
+/**
+ * Yield-aware scheduling for the hourly scrape
+ *
+ * The rotation state keeps per-pair stats (runs, last run, leads and
+ * businesses found, zero-lead streak) and each run goes to the pair that is
+ * most worth scraping now. A run's leads are the sites it found with GA or
+ * FB, including ones already stored:
+ *
+ *   - pairs never scraped are due immediately, in config order
+ *   - pairs that found leads come back every `refreshDays` (divided by
+ *     their weight), so new practices are picked up
+ *   - pairs that found no leads back off, doubling the wait each time up
+ *     to `maxBackoffDays`
+ *   - a failed run is retried after a day
+ *
+ * Among due pairs the highest score wins: weight x expected leads x how
+ * overdue the pair is. If nothing is due, the pair due soonest runs.
+ */
+
+const { DEFAULT_SCHEDULE } = require('./rotation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const RETRY_AFTER_ERROR = DAY;
+
+const pairKey = (city, category) => `${city.name}|${category.name}`;
+
+// Enabled city/category pairs in city-major order, with their weights
+function rotationPairs(config) {
+  const pairs = [];
+  for (const city of config.cities.filter(c => c.enabled)) {
+    for (const category of config.categories.filter(c => c.enabled)) {
+      pairs.push({ key: pairKey(city, category), city, category, weight: city.weight * category.weight });
+    }
+  }
+  return pairs;
+}
+
+// The config's schedule section with defaults for settings it predates
+function scheduleSettings(config) {
+  return { ...DEFAULT_SCHEDULE, ...config.schedule };
+}
+
+// Fold one run's result into a pair's stats. The yield is `qualified`, not
+// the new leads left after dedupe, so re-visiting a productive pair doesn't
+// back it off; entries from before it was recorded use `leadsFound`.
+function addRun(stats, result, at) {
+  const next = { ...(stats || { runs: 0, totalLeads: 0, totalBusinesses: 0, zeroStreak: 0 }) };
+  next.lastRun = at;
+  if (result.error) {
+    next.lastError = result.error;
+    return next;
+  }
+  delete next.lastError;
+  const found = Number.isFinite(result.qualified) ? result.qualified : result.leadsFound;
+  next.runs += 1;
+  next.lastLeads = found;
+  next.lastBusinesses = result.businessesFound;
+  next.totalLeads += found;
+  next.totalBusinesses += result.businessesFound;
+  // For analytics: OpenStreetMap matches, how many had a website, and of
+  // the sites checked how many had GA or FB (new leads or not). Runs
+  // recorded before these were kept leave them out.
+  if (Number.isFinite(result.businessesTotal)) {
+    next.totalFound = (next.totalFound || 0) + result.businessesTotal;
+    next.totalWithWebsite = (next.totalWithWebsite || 0) + (result.withWebsite || 0);
+    next.totalChecked = (next.totalChecked || 0) + result.businessesFound;
+    next.totalQualified = (next.totalQualified || 0) + (result.qualified || 0);
+  }
+  next.zeroStreak = found > 0 ? 0 : next.zeroStreak + 1;
+  return next;
+}
+
+/**
+ * Build pair stats for a state saved before smart scheduling
+ *
+ * Uses the `history` blob (newest first) for real yields. For the old
+ * cityIndex/categoryIndex state, pairs the walk had already passed count
+ * as just run, so the job carries on from where it was.
+ */
+function seedStats(pairs, state, history, config, now) {
+  const stats = {};
+  const byKey = new Map(pairs.map(p => [p.key, p]));
+
+  if (state.cityIndex !== undefined && config.cities.length > 0 && config.categories.length > 0) {
+    const city = config.cities[state.cityIndex % config.cities.length];
+    const category = config.categories[(state.categoryIndex || 0) % config.categories.length];
+    const start = pairs.findIndex(p => p.key === pairKey(city, category));
+    for (const pair of pairs.slice(0, Math.max(0, start))) {
+      stats[pair.key] = { runs: 0, totalLeads: 0, totalBusinesses: 0, zeroStreak: 0, lastRun: new Date(now).toISOString() };
+    }
+  }
+
+  for (const entry of [...(history || [])].reverse()) {
+    const pair = byKey.get(`${entry.city}|${entry.category}`);
+    if (!pair || entry.leadsFound === undefined) continue;
+    stats[pair.key] = addRun(stats[pair.key], {
+      leadsFound: entry.leadsFound || 0,
+      businessesFound: entry.businessesFound || 0,
+      businessesTotal: entry.businessesTotal,
+      withWebsite: entry.withWebsite,
+      qualified: entry.qualified
+    }, entry.timestamp);
+  }
+  return stats;
+}
+
+// When a pair is next due (ms), and why
+function dueInfo(pair, stats, settings) {
+  if (!stats || !stats.lastRun) return { dueAt: 0, reason: 'new' };
+
+  const last = Date.parse(stats.lastRun);
+  if (stats.lastError) return { dueAt: last + RETRY_AFTER_ERROR, reason: 'retry' };
+  if (stats.runs === 0) return { dueAt: last + settings.refreshDays * DAY / pair.weight, reason: 'refresh' };
+
+  if (stats.zeroStreak > 0) {
+    const wait = Math.min(settings.maxBackoffDays, settings.refreshDays * 2 ** stats.zeroStreak);
+    return { dueAt: last + wait * DAY / pair.weight, reason: 'backoff' };
+  }
+  return { dueAt: last + settings.refreshDays * DAY / pair.weight, reason: 'refresh' };
+}
+
+// Score and due date for every enabled pair, best first
+function rankPairs(config, stats, now) {
+  const settings = scheduleSettings(config);
+  const pairs = rotationPairs(config);
+  if (pairs.length === 0) throw new Error('Rotation config has no enabled city/category pairs');
+
+  // Untried pairs are scored like an average pair
+  const explored = pairs.map(p => stats[p.key]).filter(s => s && s.runs > 0);
+  const averageLeads = explored.length > 0
+    ? explored.reduce((sum, s) => sum + s.totalLeads / s.runs, 0) / explored.length
+    : 1;
+
+  const ranked = pairs.map((pair, order) => {
+    const pairStats = stats[pair.key] || null;
+    const { dueAt, reason } = dueInfo(pair, pairStats, settings);
+    const expected = pairStats && pairStats.runs > 0 ? pairStats.totalLeads / pairStats.runs : averageLeads;
+    const interval = settings.refreshDays * DAY;
+    const overdue = dueAt === 0 ? 1 : 1 + Math.max(0, now - dueAt) / interval;
+    return {
+      ...pair,
+      order,
+      stats: pairStats,
+      reason,
+      dueAt,
+      due: dueAt <= now,
+      score: pair.weight * (1 + expected) * overdue
+    };
+  });
+
+  // Due pairs by score (untried first, then config order on ties), then
+  // the rest by when they come due
+  return ranked.sort((a, b) => {
+    if (a.due !== b.due) return a.due ? -1 : 1;
+    if (!a.due) return a.dueAt - b.dueAt || a.order - b.order;
+    if ((a.reason === 'new') !== (b.reason === 'new')) return a.reason === 'new' ? -1 : 1;
+    return b.score - a.score || a.order - b.order;
+  });
+}
+
+function statsFor(config, state, history, now) {
+  return state.stats || seedStats(rotationPairs(config), state, history, config, now);
+}
+
+/**
+ * Pick and claim the next run
+ *
+ * Returns { city, category, key, reason, state }. The returned state marks
+ * the pair as run now, so an overlapping run claims something else; save
+ * it before scraping, then report the outcome with recordRun().
+ *
+ * Options:
+ *   history - the `history` blob, used to seed stats for an older state
+ *   now     - ms timestamp (default Date.now())
+ */
+function planNextRun(config, state = {}, options = {}) {
+  const now = options.now || Date.now();
+  const stats = statsFor(config, state, options.history, now);
+  const [best] = rankPairs(config, stats, now);
+
+  return {
+    city: best.city,
+    category: best.category,
+    key: best.key,
+    reason: best.reason,
+    state: {
+      stats: { ...stats, [best.key]: { ...(stats[best.key] || { runs: 0, totalLeads: 0, totalBusinesses: 0, zeroStreak: 0 }), lastRun: new Date(now).toISOString() } },
+      totalRuns: (state.totalRuns || 0) + 1
+    }
+  };
+}
+
+// State after a run of `key` finished: { leadsFound, businessesFound,
+// businessesTotal?, withWebsite?, qualified? } or { error }
+function recordRun(state, key, result, now = Date.now()) {
+  const stats = { ...(state.stats || {}) };
+  stats[key] = addRun(stats[key], result, new Date(now).toISOString());
+  return { ...state, stats };
+}
+
+/**
+ * The planned queue, for the dashboard
+ *
+ * Returns the next `limit` pairs in the order they would run, each as
+ * { city, category, reason, due, dueAt (ISO or null), score, runs,
+ * averageLeads, lastRun, zeroStreak }.
+ */
+function planQueue(config, state = {}, options = {}) {
+  const now = options.now || Date.now();
+  const stats = statsFor(config, state, options.history, now);
+
+  return rankPairs(config, stats, now).slice(0, options.limit || 20).map(pair => ({
+    city: pair.city.name,
+    category: pair.category.name,
+    reason: pair.reason,
+    due: pair.due,
+    dueAt: pair.dueAt ? new Date(pair.dueAt).toISOString() : null,
+    score: Math.round(pair.score * 100) / 100,
+    runs: pair.stats ? pair.stats.runs : 0,
+    averageLeads: pair.stats && pair.stats.runs > 0 ? Math.round(pair.stats.totalLeads / pair.stats.runs * 10) / 10 : null,
+    lastRun: pair.stats ? pair.stats.lastRun || null : null,
+    zeroStreak: pair.stats ? pair.stats.zeroStreak : 0
+  }));
+}
+
+module.exports = {
+  scheduleSettings,
+  rotationPairs,
+  planNextRun,
+  recordRun,
+  planQueue
+};
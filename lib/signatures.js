@@ -0,0 +1,411 @@
+/**
+ * Tracker signature catalogue
+ *
+ * One entry per vendor. `rules` are run by lib/detect.js against the raw
+ * HTML of a page; see that file for how rules become evidence and
+ * confidence. Add a vendor by appending to SIGNATURES or calling
+ * registerSignature() before a run.
+ *
+ *   id       - short key stored on leads (`trackers: ['ga', 'hotjar']`)
+ *   name     - human-readable vendor name, also the CSV column header
+ *   category - analytics | advertising | tag-manager | marketing | consent
+ */
+
+const SIGNATURES = [
+  {
+    id: 'ga',
+    name: 'Google Analytics',
+    category: 'analytics',
+    rules: [
+      {
+        name: 'gtag.js script',
+        pattern: /googletagmanager\.com\/gtag\/js\?id=((?:G|UA)-[A-Z0-9-]+)/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'gtag config',
+        pattern: /gtag\(\s*['"]config['"]\s*,\s*['"]((?:G-[A-Z0-9]{4,12})|(?:UA-\d{4,10}-\d{1,4}))['"]/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'analytics.js create',
+        pattern: /\bga\(\s*['"]create['"]\s*,\s*['"](UA-\d{4,10}-\d{1,4})['"]/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'ga.js setAccount',
+        pattern: /['"]_setAccount['"]\s*,\s*['"](UA-\d{4,10}-\d{1,4})['"]/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'analytics.js script',
+        pattern: /google-analytics\.com\/(?:analytics|ga)\.js/gi,
+        confidence: 'medium'
+      },
+      {
+        name: 'UA measurement ID',
+        pattern: /['"](UA-\d{4,10}-\d{1,4})['"]/g,
+        confidence: 'medium',
+        idGroup: 1
+      },
+      {
+        name: 'GA4 measurement ID',
+        pattern: /['"](G-[A-Z0-9]{8,12})['"]/g,
+        confidence: 'low',
+        idGroup: 1
+      },
+      {
+        name: 'gtag call',
+        pattern: /\bgtag\(/g,
+        confidence: 'low'
+      }
+    ]
+  },
+  {
+    id: 'fb',
+    name: 'Facebook Pixel',
+    category: 'advertising',
+    rules: [
+      {
+        name: 'fbq init',
+        pattern: /fbq\(\s*['"]init['"]\s*,\s*['"]?(\d{10,20})['"]?/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'pixel noscript',
+        pattern: /facebook\.com\/tr\/?\?id=(\d{10,20})/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'fbevents.js script',
+        pattern: /connect\.facebook\.net\/[a-z_A-Z]+\/fbevents\.js/g,
+        confidence: 'medium'
+      },
+      {
+        name: 'fbq call',
+        pattern: /\bfbq\(/g,
+        confidence: 'low'
+      }
+    ]
+  },
+  {
+    id: 'google_ads',
+    name: 'Google Ads',
+    category: 'advertising',
+    rules: [
+      {
+        name: 'gtag.js script',
+        pattern: /googletagmanager\.com\/gtag\/js\?id=(AW-\d{6,12})/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'gtag config',
+        pattern: /gtag\(\s*['"](?:config|event)['"]\s*,\s*['"](AW-\d{6,12})/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'conversion ID',
+        pattern: /google_conversion_id\s*=\s*['"]?(\d{6,12})/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'conversion script',
+        pattern: /googleadservices\.com\/pagead\/conversion(?:_async)?\.js/gi,
+        confidence: 'medium'
+      },
+      {
+        name: 'Google Ads ID',
+        pattern: /['"](AW-\d{6,12})['"]/g,
+        confidence: 'medium',
+        idGroup: 1
+      }
+    ]
+  },
+  {
+    // A container only loads tags; whether it fires GA (or anything) is
+    // configured in GTM, so it is its own vendor and never implies hasGA
+    id: 'gtm',
+    name: 'Google Tag Manager',
+    category: 'tag-manager',
+    rules: [
+      {
+        name: 'GTM container',
+        pattern: /googletagmanager\.com\/(?:gtm\.js|ns\.html)\?id=(GTM-[A-Z0-9]{4,9})/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'GTM container ID',
+        pattern: /['"](GTM-[A-Z0-9]{4,9})['"]/g,
+        confidence: 'medium',
+        idGroup: 1
+      }
+    ]
+  },
+  {
+    id: 'hotjar',
+    name: 'Hotjar',
+    category: 'analytics',
+    rules: [
+      {
+        name: 'hotjar script',
+        pattern: /static\.hotjar\.com\/c\/hotjar-(\d+)\.js/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'hjid setting',
+        pattern: /\bhjid\s*:\s*(\d{5,10})/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'hotjar host',
+        pattern: /static\.hotjar\.com/gi,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'clarity',
+    name: 'Microsoft Clarity',
+    category: 'analytics',
+    rules: [
+      {
+        name: 'clarity tag script',
+        pattern: /clarity\.ms\/tag\/([a-z0-9]{6,12})/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'clarity snippet',
+        pattern: /['"]clarity['"]\s*,\s*['"]script['"]\s*,\s*['"]([a-z0-9]{6,12})['"]/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'clarity host',
+        pattern: /www\.clarity\.ms\/tag/gi,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn Insight',
+    category: 'advertising',
+    rules: [
+      {
+        name: 'partner ID',
+        pattern: /_linkedin_partner_id\s*=\s*['"]?(\d{4,10})/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'insight noscript',
+        pattern: /px\.ads\.linkedin\.com\/collect\/?\?pid=(\d{4,10})/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'insight script',
+        pattern: /snap\.licdn\.com\/li\.lms-analytics\/insight\.min\.js/gi,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'tiktok',
+    name: 'TikTok Pixel',
+    category: 'advertising',
+    rules: [
+      {
+        name: 'ttq load',
+        pattern: /ttq\.load\(\s*['"]([A-Z0-9]{10,30})['"]/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'pixel script',
+        pattern: /analytics\.tiktok\.com\/i18n\/pixel\/(?:events|sdk)\.js/gi,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'segment',
+    name: 'Segment',
+    category: 'analytics',
+    rules: [
+      {
+        name: 'analytics.js CDN',
+        pattern: /cdn\.segment\.(?:com|io)\/analytics\.js\/v1\/([A-Za-z0-9]{10,40})\//g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'analytics.load',
+        pattern: /analytics\.load\(\s*['"]([A-Za-z0-9]{20,40})['"]/g,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'segment host',
+        pattern: /cdn\.segment\.(?:com|io)/gi,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'mixpanel',
+    name: 'Mixpanel',
+    category: 'analytics',
+    rules: [
+      {
+        name: 'mixpanel init',
+        pattern: /mixpanel\.init\(\s*['"]([a-f0-9]{32})['"]/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'mixpanel script',
+        pattern: /cdn(?:4)?\.mxpnl\.com|mixpanel-2-latest(?:\.min)?\.js/gi,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'hubspot',
+    name: 'HubSpot',
+    category: 'marketing',
+    rules: [
+      {
+        name: 'tracking code',
+        pattern: /js(?:-[a-z0-9]+)?\.hs-scripts\.com\/(\d{4,10})\.js/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'analytics script',
+        pattern: /js\.hs-analytics\.net\/analytics\/\d+\/(\d{4,10})\.js/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'hs-scripts host',
+        pattern: /hs-scripts\.com|hs-analytics\.net/gi,
+        confidence: 'medium'
+      },
+      {
+        name: '_hsq queue',
+        pattern: /\b_hsq\b/g,
+        confidence: 'low'
+      }
+    ]
+  },
+  {
+    id: 'adobe',
+    name: 'Adobe Analytics',
+    category: 'analytics',
+    rules: [
+      {
+        name: 'tracking server',
+        pattern: /[a-z0-9.-]+\.(?:omtrdc\.net|2o7\.net)/gi,
+        confidence: 'high'
+      },
+      {
+        name: 'Adobe Launch / DTM',
+        pattern: /assets\.adobedtm\.com\/[^'"\s]+\.js/gi,
+        confidence: 'medium'
+      },
+      {
+        name: 'AppMeasurement',
+        pattern: /AppMeasurement(?:\.js|\.min\.js)?|\bs_code\.js/g,
+        confidence: 'medium'
+      }
+    ]
+  },
+  {
+    id: 'onetrust',
+    name: 'OneTrust',
+    category: 'consent',
+    rules: [
+      {
+        name: 'domain script ID',
+        pattern: /data-domain-script=['"]([a-f0-9-]{36}(?:-test)?)['"]/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'OneTrust SDK',
+        pattern: /cdn\.cookielaw\.org\/[^'"\s]*otSDKStub\.js|optanon\.blob\.core\.windows\.net/gi,
+        confidence: 'medium'
+      },
+      {
+        name: 'OptanonWrapper',
+        pattern: /\bOptanonWrapper\b/g,
+        confidence: 'low'
+      }
+    ]
+  },
+  {
+    id: 'cookiebot',
+    name: 'Cookiebot',
+    category: 'consent',
+    rules: [
+      {
+        name: 'cbid',
+        pattern: /data-cbid=['"]([a-f0-9-]{36})['"]/gi,
+        confidence: 'high',
+        idGroup: 1
+      },
+      {
+        name: 'uc.js script',
+        pattern: /consent\.cookiebot\.(?:com|eu)\/uc\.js/gi,
+        confidence: 'medium'
+      }
+    ]
+  }
+];
+
+// Add a vendor to the catalogue (replaces an existing entry with the same id)
+function registerSignature(signature) {
+  if (!signature.id || !signature.name || !Array.isArray(signature.rules)) {
+    throw new Error('Signature needs an id, a name and a rules array');
+  }
+  for (const rule of signature.rules) {
+    if (!(rule.pattern instanceof RegExp) || !rule.pattern.global) {
+      throw new Error(`Signature ${signature.id}: rule "${rule.name}" needs a global RegExp pattern`);
+    }
+  }
+
+  const index = SIGNATURES.findIndex(s => s.id === signature.id);
+  if (index === -1) {
+    SIGNATURES.push(signature);
+  } else {
+    SIGNATURES[index] = signature;
+  }
+}
+
+function getSignatures() {
+  return SIGNATURES;
+}
+
+function getSignature(id) {
+  return SIGNATURES.find(s => s.id === id) || null;
+}
+
+module.exports = {
+  registerSignature,
+  getSignatures,
+  getSignature
+};
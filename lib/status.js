@@ -0,0 +1,70 @@
+/**
+ * Outreach status pipeline
+ *
+ * A lead's outreach progress lives on the lead itself: `status`,
+ * `statusUpdatedAt` and a `statusHistory` of every change with its note.
+ * Scraping never writes these fields, so re-scrapes (and the name + city
+ * dedupe in the Netlify job, which keeps the stored copy) leave them alone.
+ */
+
+const LEAD_STATUSES = ['new', 'contacted', 'replied', 'qualified', 'won', 'lost', 'do-not-contact'];
+const DEFAULT_STATUS = 'new';
+
+// Fields owned by the pipeline; scrape results must never overwrite them
+const STATUS_FIELDS = ['status', 'statusUpdatedAt', 'statusHistory'];
+
+function isLeadStatus(status) {
+  return LEAD_STATUSES.includes(status);
+}
+
+function getLeadStatus(lead) {
+  return lead.status || DEFAULT_STATUS;
+}
+
+/**
+ * Change a lead's status and/or add a note, in place
+ *
+ * `change` is { status?, note?, by?, at? }. Leaving out `status` keeps the
+ * current one, so a note can be logged on its own. Each call appends
+ * { at, from, status, note?, by? } to `statusHistory`. Returns the lead;
+ * throws on an unknown status or an empty change.
+ */
+function setLeadStatus(lead, change) {
+  const from = getLeadStatus(lead);
+  const status = change.status || from;
+  const note = (change.note || '').trim();
+
+  if (!isLeadStatus(status)) {
+    throw new Error(`Unknown status "${status}" (expected one of: ${LEAD_STATUSES.join(', ')})`);
+  }
+  if (status === from && !note) {
+    throw new Error(`Lead is already "${status}"; pass a note to log one without changing status`);
+  }
+
+  const entry = { at: change.at || new Date().toISOString(), from, status };
+  if (note) entry.note = note;
+  if (change.by) entry.by = change.by;
+
+  lead.status = status;
+  lead.statusUpdatedAt = entry.at;
+  lead.statusHistory = [...(lead.statusHistory || []), entry];
+  return lead;
+}
+
+// Notes oldest first, e.g. "2024-05-01 contacted: Emailed front desk"
+function formatStatusNotes(lead) {
+  return (lead.statusHistory || [])
+    .filter(entry => entry.note)
+    .map(entry => `${entry.at.split('T')[0]} ${entry.status}: ${entry.note}`)
+    .join(' | ');
+}
+
+module.exports = {
+  LEAD_STATUSES,
+  DEFAULT_STATUS,
+  STATUS_FIELDS,
+  isLeadStatus,
+  getLeadStatus,
+  setLeadStatus,
+  formatStatusNotes
+};
@@ -0,0 +1,84 @@
+/**
+ * Concurrency and politeness helpers
+ *
+ * A rate limiter shared by every request in a run keeps two limits: a
+ * global requests-per-second ceiling, and a minimum gap between requests to
+ * the same host. Workers call `acquire(host)` before each request and wait
+ * for their slot.
+ */
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Create a rate limiter
+ *
+ * Options:
+ *   rps             - global requests per second (default unlimited)
+ *   perHostInterval - ms between requests to one host (default 0)
+ */
+function createRateLimiter(options = {}) {
+  const globalInterval = options.rps ? 1000 / options.rps : 0;
+  const perHostInterval = options.perHostInterval || 0;
+  const nextByHost = new Map();
+  let nextGlobal = 0;
+
+  return {
+    async acquire(host) {
+      // Reserve this host's next slot first so requests to one host queue up
+      // in order, then take the next global slot from that point on
+      if (host && perHostInterval > 0) {
+        const hostSlot = Math.max(Date.now(), nextByHost.get(host) || 0);
+        nextByHost.set(host, hostSlot + perHostInterval);
+        await sleep(hostSlot - Date.now());
+      }
+
+      if (globalInterval > 0) {
+        const slot = Math.max(Date.now(), nextGlobal);
+        nextGlobal = slot + globalInterval;
+        await sleep(slot - Date.now());
+      }
+    }
+  };
+}
+
+/**
+ * Run `worker(item, index)` over items with at most `concurrency` running
+ * at once. Resolves to the results in input order.
+ *
+ * `onResult(result, index)` is called in input order as soon as every
+ * earlier item has finished, so progress output stays stable even though
+ * items complete out of order.
+ */
+async function mapPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const onResult = options.onResult || (() => {});
+  const results = new Array(items.length);
+  const done = new Array(items.length).fill(false);
+  let nextIndex = 0;
+  let nextToReport = 0;
+
+  const report = () => {
+    while (nextToReport < items.length && done[nextToReport]) {
+      onResult(results[nextToReport], nextToReport);
+      nextToReport++;
+    }
+  };
+
+  const run = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+      done[index] = true;
+      report();
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+  return results;
+}
+
+module.exports = {
+  sleep,
+  createRateLimiter,
+  mapPool
+};
@@ -0,0 +1,174 @@
+/**
+ * Website tracker checks
+ *
+ * hasGA/hasFB are kept as shortcuts for the two trackers the outreach pitch
+ * is built around; `trackers` lists every catalogued vendor found.
+ */
+
+const { crawlSite } = require('./crawl');
+const { detectTrackers, mergeDetections } = require('./detect');
+const { extractContacts, mergeContacts } = require('./contacts');
+const { createRateLimiter, mapPool } = require('./throttle');
+const { cached } = require('./cache');
+
+// Result fields for a site that couldn't be checked
+const notChecked = () => ({
+  hasGA: false,
+  hasFB: false,
+  trackers: [],
+  detections: {},
+  contacts: { emails: [], phones: [], socials: [], forms: [] },
+  pagesChecked: [],
+  finalUrl: '',
+  statusChain: []
+});
+
+/**
+ * Check a website for trackers
+ *
+ * Crawls the homepage plus a few same-site pages (see lib/crawl.js) and
+ * merges what each page loads. `detections` holds the per-vendor IDs,
+ * confidence and evidence; `contacts` the emails, phones, social profiles
+ * and contact forms found on the way (see lib/contacts.js). `finalUrl` is
+ * where the homepage ended up after redirects and `statusChain` the hops
+ * taken to get there ([{ url, status }]).
+ *
+ * Options are passed through to crawlSite() (maxPages, maxDepth, keywords,
+ * pageDelay, limiter, timeout, maxRedirects, maxBytes). With a `cache`
+ * (lib/cache.js), successful results are reused per site.
+ */
+async function checkWebsiteForTracking(url, options = {}) {
+  if (!url) return { ...notChecked(), error: 'No URL' };
+
+  // Successful checks are cached per site and crawl budget
+  const cacheKey = `${siteKey(url)}|p${options.maxPages || ''}|d${options.maxDepth === undefined ? '' : options.maxDepth}`;
+  return cached(options.cache, 'site', cacheKey, () => crawlAndDetect(url, options), result => !result.error);
+}
+
+// Normalized site identity: host without www. plus path, no scheme
+function siteKey(url) {
+  return url.toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '');
+}
+
+async function crawlAndDetect(url, options) {
+  // Normalize URL. Bare domains try https first, then plain http if the
+  // https connection itself fails (no TLS, bad certificate, refused).
+  const bareDomain = !/^https?:\/\//i.test(url);
+  if (bareDomain) {
+    url = 'https://' + url;
+  }
+
+  try {
+    let { pages, errors } = await crawlSite(url, options);
+
+    if (pages.length === 0 && bareDomain && errors.length > 0 && !errors[0].status) {
+      ({ pages, errors } = await crawlSite(url.replace(/^https:/, 'http:'), options));
+    }
+
+    if (pages.length === 0) {
+      const failure = errors[0] || { error: 'No pages loaded' };
+      return {
+        ...notChecked(),
+        statusChain: failure.redirects || [],
+        error: failure.error
+      };
+    }
+
+    const { detections, trackers } = mergeDetections(
+      pages.map(page => ({ url: page.url, result: detectTrackers(page.html) }))
+    );
+    const contacts = mergeContacts(pages.map(page => extractContacts(page.html, page.url)));
+
+    return {
+      hasGA: trackers.includes('ga'),
+      hasFB: trackers.includes('fb'),
+      trackers,
+      detections,
+      contacts,
+      pagesChecked: pages.map(page => page.url),
+      finalUrl: pages[0].url,
+      statusChain: pages[0].redirects,
+      checkedAt: new Date().toISOString(),
+      error: null
+    };
+
+  } catch (error) {
+    return { ...notChecked(), error: error.message };
+  }
+}
+
+// Short progress label for one tracker, e.g. "YES (G-ABC123XYZ)"
+function describe(detection) {
+  if (!detection || !detection.detected) return 'no';
+  return detection.ids.length > 0 ? `YES (${detection.ids[0]})` : 'YES';
+}
+
+// Progress label listing the other vendors found
+function describeOthers(trackers) {
+  const others = trackers.filter(id => id !== 'ga' && id !== 'fb');
+  return others.length > 0 ? `, also: ${others.join(', ')}` : '';
+}
+
+/**
+ * Check multiple businesses for tracking
+ *
+ * Sites are checked by a pool of `concurrency` workers sharing one rate
+ * limiter, so every page request counts against the global ceiling and the
+ * per-host gap. Mutates and returns the businesses (in input order) with
+ * hasGA/hasFB/trackers/detections/contacts/pagesChecked/finalUrl/
+ * statusChain/trackingError set. `onProgress(current, total, name, status)`
+ * is called once per business, in input order.
+ *
+ * Options:
+ *   onChecked       - (biz, ms) called as each site finishes, with how long
+ *                     its check took
+ *   concurrency     - sites checked at once (default 5)
+ *   rps             - global requests per second (default 5)
+ *   perHostInterval - ms between requests to one host (default 1000)
+ *   plus any checkWebsiteForTracking() option
+ */
+async function checkBusinessesForTracking(businesses, onProgress = () => {}, options = {}) {
+  const limiter = options.limiter || createRateLimiter({
+    rps: options.rps || 5,
+    perHostInterval: options.perHostInterval === undefined ? 1000 : options.perHostInterval
+  });
+  let reported = 0;
+
+  const check = async (biz) => {
+    if (!biz.website) {
+      Object.assign(biz, notChecked());
+      biz.trackingError = 'No website';
+      return { biz, status: 'skipped (no website)' };
+    }
+
+    const started = Date.now();
+    const { error, ...tracking } = await checkWebsiteForTracking(biz.website, { ...options, limiter });
+    Object.assign(biz, tracking);
+    biz.trackingError = error;
+    if (options.onChecked) options.onChecked(biz, Date.now() - started);
+
+    const status = error
+      ? `error: ${error}`
+      : `GA: ${describe(tracking.detections.ga)}, FB: ${describe(tracking.detections.fb)}${describeOthers(tracking.trackers)}`;
+    return { biz, status };
+  };
+
+  const results = await mapPool(businesses, check, {
+    concurrency: options.concurrency || 5,
+    onResult: ({ biz, status }) => {
+      reported++;
+      onProgress(reported, businesses.length, biz.name, status);
+    }
+  });
+
+  return results.map(r => r.biz);
+}
+
+module.exports = {
+  checkWebsiteForTracking,
+  checkBusinessesForTracking
+};
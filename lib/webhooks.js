@@ -0,0 +1,311 @@
+/**
+ * Outgoing webhooks for scrape runs
+ *
+ * Admins list webhook targets in a config blob (`webhooks` in the `state`
+ * store). After each scheduled job, targets get the run's new leads, and
+ * failed runs if they ask for them. A target can send plain JSON, or a
+ * message for a Slack or Discord incoming webhook, and can filter leads,
+ * e.g. only lawyers with FB Pixel in CA.
+ *
+ * JSON deliveries with a secret are signed like Stripe's:
+ *
+ *   X-Lead-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Network errors, 429 and 5xx answers are retried with backoff
+ * (lib/retry.js). Like lib/rotation.js, functions pass in their blob store.
+ */
+
+const crypto = require('crypto');
+const { fetch, isSuccess } = require('./http');
+const { withRetry } = require('./retry');
+const { leadTrackers } = require('./leads');
+
+const CONFIG_KEY = 'webhooks';
+
+const FORMATS = ['json', 'slack', 'discord'];
+const EVENTS = ['leads', 'failure'];
+const FILTER_FIELDS = ['categories', 'cities', 'states', 'trackers'];
+
+// Leads listed by name in a Slack/Discord message; the rest are counted
+const MESSAGE_LEAD_LIMIT = 10;
+const DISCORD_MAX_LENGTH = 2000;
+
+// Lead fields sent in JSON payloads
+const PAYLOAD_FIELDS = [
+  'name', 'category', 'website', 'phone', 'email', 'address', 'city', 'state',
+  'lat', 'lon', 'scrapedCity', 'scrapedAt', 'hasGA', 'hasFB', 'trackers'
+];
+
+/**
+ * Validate a webhook config (e.g. from the dashboard) and fill in defaults
+ *
+ * Targets are { id, name, url, format, secret, enabled, events, filter }
+ * where filter holds lists of categories, cities, states and trackers. A
+ * target sent without `secret` keeps the one stored in `previous` under the
+ * same id; an empty string removes it. Throws one Error with an `errors`
+ * list, like normalizeRotationConfig().
+ */
+function normalizeWebhookConfig(input, previous = { targets: [] }) {
+  const errors = [];
+  const config = input && typeof input === 'object' ? input : {};
+  const oldSecrets = new Map((previous.targets || []).map(t => [t.id, t.secret]));
+
+  if (!Array.isArray(config.targets)) errors.push('targets must be a list');
+
+  const ids = new Set();
+  const targets = (Array.isArray(config.targets) ? config.targets : []).map((target, i) => {
+    target = target || {};
+    const name = String(target.name || '').trim();
+    const label = `Webhook ${i + 1}${name ? ` (${name})` : ''}`;
+    if (!name) errors.push(`${label}: name is required`);
+
+    let id = String(target.id || '').trim();
+    if (!id) id = crypto.randomBytes(6).toString('hex');
+    if (ids.has(id)) errors.push(`${label}: duplicate id`);
+    ids.add(id);
+
+    const url = String(target.url || '').trim();
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {}
+    if (!parsed || parsed.protocol !== 'https:') errors.push(`${label}: url must be an https:// URL`);
+
+    const format = target.format === undefined ? 'json' : target.format;
+    if (!FORMATS.includes(format)) errors.push(`${label}: format must be one of ${FORMATS.join(', ')}`);
+
+    const events = target.events === undefined ? ['leads'] : target.events;
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !EVENTS.includes(e))) {
+      errors.push(`${label}: events must be a non-empty list of ${EVENTS.join(', ')}`);
+    }
+
+    const filterInput = target.filter && typeof target.filter === 'object' ? target.filter : {};
+    const filter = {};
+    for (const field of FILTER_FIELDS) {
+      const values = filterInput[field] === undefined ? [] : filterInput[field];
+      if (!Array.isArray(values) || values.some(v => typeof v !== 'string')) {
+        errors.push(`${label}: filter.${field} must be a list of strings`);
+        filter[field] = [];
+      } else {
+        filter[field] = values.map(v => v.trim()).filter(Boolean);
+      }
+    }
+
+    const secret = target.secret === undefined ? oldSecrets.get(id) || '' : String(target.secret);
+    if (secret && format !== 'json') errors.push(`${label}: signing is only for json webhooks`);
+
+    return {
+      id,
+      name,
+      url,
+      format,
+      secret,
+      enabled: target.enabled !== false,
+      events: Array.isArray(events) ? events : [],
+      filter
+    };
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid webhook config:\n- ${errors.join('\n- ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return { targets };
+}
+
+// The config as shown to admins: secrets replaced by `hasSecret`
+function redactWebhookConfig(config) {
+  return {
+    ...config,
+    targets: config.targets.map(({ secret, ...target }) => ({ ...target, hasSecret: Boolean(secret) }))
+  };
+}
+
+// True if a lead passes a target's filter. Each non-empty list must match
+// (case-insensitive); a lead matches trackers if it has any of them.
+function matchesFilter(lead, filter = {}) {
+  const has = (list, value) => list.length === 0 || list.some(v => v.toLowerCase() === String(value || '').toLowerCase());
+  const trackers = leadTrackers(lead);
+  return has(filter.categories || [], lead.category) &&
+    has(filter.cities || [], lead.scrapedCity || lead.city) &&
+    has(filter.states || [], lead.state) &&
+    ((filter.trackers || []).length === 0 || filter.trackers.some(t => trackers.includes(t.toLowerCase())));
+}
+
+function payloadLead(lead) {
+  const picked = {};
+  for (const field of PAYLOAD_FIELDS) {
+    if (lead[field] !== undefined) picked[field] = lead[field];
+  }
+  return picked;
+}
+
+function runInfo(run) {
+  return {
+    id: run.id,
+    city: run.city,
+    category: run.category,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    status: run.status,
+    error: run.error,
+    totals: run.totals
+  };
+}
+
+// Slack reads &, < and > as markup (<url|label> links, <!channel>
+// mentions), and names and cities come straight from OpenStreetMap
+const slackEscape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// One line per lead for chat messages; `escape` is applied to every value
+function leadLine(lead, escape) {
+  const trackers = leadTrackers(lead).map(t => t === 'ga' || t === 'fb' ? t.toUpperCase() : t).join(', ');
+  const place = [lead.city, lead.state].filter(Boolean).join(', ');
+  return `• ${escape(lead.name)}${place ? ` (${escape(place)})` : ''}${lead.website ? ` ${escape(lead.website)}` : ''}${trackers ? ` [${escape(trackers)}]` : ''}`;
+}
+
+function messageText(event, escape = text => String(text)) {
+  const { run } = event;
+  if (event.type === 'failure') {
+    return `Lead scrape failed: ${escape(run.category)} in ${escape(run.city)}\n${escape(run.error)}`;
+  }
+  const shown = event.leads.slice(0, MESSAGE_LEAD_LIMIT).map(lead => leadLine(lead, escape));
+  const more = event.leads.length - shown.length;
+  return [
+    `${event.leads.length} new lead${event.leads.length === 1 ? '' : 's'}: ${escape(run.category)} in ${escape(run.city)}`,
+    ...shown,
+    ...(more > 0 ? [`…and ${more} more`] : [])
+  ].join('\n');
+}
+
+/**
+ * The request body for one target and event
+ *
+ * `event` is { type: 'leads', run, leads } or { type: 'failure', run },
+ * with `run` a lib/runs.js record and `leads` already filtered for the
+ * target.
+ */
+function buildPayload(target, event) {
+  if (target.format === 'slack') return { text: messageText(event, slackEscape) };
+  if (target.format === 'discord') return { content: messageText(event).slice(0, DISCORD_MAX_LENGTH) };
+
+  return {
+    event: event.type === 'failure' ? 'run.failed' : 'leads.new',
+    run: runInfo(event.run),
+    ...(event.type === 'leads' ? { leads: event.leads.map(payloadLead) } : {})
+  };
+}
+
+// X-Lead-Signature header value for a body
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * POST an event to one target, retrying network errors, 429 and 5xx
+ *
+ * Never rejects. Resolves to { target, ok, status, attempts, error }.
+ *
+ * Options: retries (default 3), baseDelay, maxDelay, timeout (default
+ * 10000), log
+ */
+async function sendWebhook(target, event, options = {}) {
+  const body = JSON.stringify(buildPayload(target, event));
+  let attempts = 0;
+
+  try {
+    const response = await withRetry(attempt => {
+      attempts = attempt + 1;
+      const headers = { 'Content-Type': 'application/json' };
+      if (target.secret) headers['X-Lead-Signature'] = signPayload(body, target.secret);
+      return fetch(target.url, { method: 'POST', headers, body, timeout: options.timeout || 10000, maxRedirects: 0 });
+    }, {
+      retries: options.retries === undefined ? 3 : options.retries,
+      baseDelay: options.baseDelay,
+      maxDelay: options.maxDelay,
+      label: attempt => `Webhook "${target.name}" attempt ${attempt + 1}`,
+      log: options.log
+    });
+    const ok = isSuccess(response.status);
+    return { target: target.name, ok, status: response.status, attempts, error: ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { target: target.name, ok: false, status: null, attempts, error: error.message };
+  }
+}
+
+/**
+ * Send a finished run to every target that wants it
+ *
+ * `event` is as for buildPayload(), with all the run's new leads. Targets
+ * only get a leads event when at least one lead passes their filter.
+ * Resolves to the sendWebhook() results.
+ */
+async function notifyTargets(targets, event, options = {}) {
+  const wanted = targets.filter(t => t.enabled && t.events.includes(event.type));
+  const results = [];
+  for (const target of wanted) {
+    if (event.type === 'leads') {
+      const leads = event.leads.filter(lead => matchesFilter(lead, target.filter));
+      if (leads.length === 0) continue;
+      results.push(await sendWebhook(target, { ...event, leads }, options));
+    } else {
+      results.push(await sendWebhook(target, event, options));
+    }
+  }
+  return results;
+}
+
+// A `notify` for processQueue() (lib/jobs.js): sends each event to the
+// targets saved at the time, so config changes apply without a redeploy
+function webhookNotifier(store, options = {}) {
+  return async event => {
+    const { config } = await loadWebhookConfig(store);
+    return notifyTargets(config.targets, event, options);
+  };
+}
+
+// Resolves to { config, etag } ({ targets: [] } and null before the first
+// save)
+async function loadWebhookConfig(store) {
+  const saved = await store.getWithMetadata(CONFIG_KEY, { type: 'json', consistency: 'strong' });
+  if (!saved || !saved.data) return { config: { targets: [] }, etag: null };
+  return { config: saved.data, etag: saved.etag };
+}
+
+// Validate and save, keeping unchanged secrets. Rejects with `conflict:
+// true` if someone else saved since `etag` was read.
+async function saveWebhookConfig(store, input, { etag, user } = {}) {
+  const { config: previous } = await loadWebhookConfig(store);
+  const config = {
+    ...normalizeWebhookConfig(input, previous),
+    updatedAt: new Date().toISOString(),
+    updatedBy: user ? user.name : null
+  };
+
+  const result = etag
+    ? await store.setJSON(CONFIG_KEY, config, { onlyIfMatch: etag })
+    : await store.setJSON(CONFIG_KEY, config, { onlyIfNew: true });
+
+  if (!result.modified) {
+    const error = new Error('The webhooks were changed by someone else; reload and try again');
+    error.conflict = true;
+    throw error;
+  }
+  return { config, etag: result.etag };
+}
+
+module.exports = {
+  normalizeWebhookConfig,
+  redactWebhookConfig,
+  matchesFilter,
+  buildPayload,
+  signPayload,
+  sendWebhook,
+  notifyTargets,
+  webhookNotifier,
+  loadWebhookConfig,
+  saveWebhookConfig
+};
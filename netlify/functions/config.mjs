@@ -0,0 +1,66 @@
+import { getStore } from "@netlify/blobs";
+import {
+  authorize,
+  auditEntry,
+  writeAudit,
+  loadRotationConfig,
+  saveRotationConfig,
+  planQueue
+} from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Rotation config for the scheduled scrape.
+// GET: { config, etag, isDefault, nextRun, queue }.
+// PUT { config, etag } (admins): validate and save; the next run uses it.
+export default async (req, context) => {
+  const stateStore = getStore('state');
+
+  if (req.method === 'GET') {
+    const auth = authorize(req, 'browse');
+    if (auth.error) return json({ error: auth.error }, auth.status);
+
+    const loaded = await loadRotationConfig(stateStore);
+    const state = await stateStore.get('rotation', { type: 'json' });
+    const history = await stateStore.get('history', { type: 'json' });
+    // planQueue throws when no city/category pair is enabled
+    let queue = [];
+    try {
+      queue = planQueue(loaded.config, state || {}, { history: history || [], limit: 20 });
+    } catch {}
+    const nextRun = queue.length > 0 ? { city: queue[0].city, category: queue[0].category } : null;
+    return json({ ...loaded, nextRun, queue });
+  }
+
+  if (req.method !== 'PUT') {
+    return json({ error: 'Use GET or PUT' }, 405);
+  }
+
+  const auth = authorize(req, 'config');
+  if (auth.error) return json({ error: auth.error }, auth.status);
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return json({ error: 'Body must be JSON' }, 400);
+  }
+
+  let saved;
+  try {
+    saved = await saveRotationConfig(stateStore, body && body.config, { etag: body && body.etag, user: auth.user });
+  } catch (error) {
+    if (error.conflict) return json({ error: error.message }, 409);
+    return json({ error: error.message, errors: error.errors }, 400);
+  }
+
+  await writeAudit(getStore('audit'), auditEntry(auth.user, 'config', {
+    cities: saved.config.cities.filter(c => c.enabled).length,
+    categories: saved.config.categories.filter(c => c.enabled).length
+  }));
+
+  return json(saved);
+};
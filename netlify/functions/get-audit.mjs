@@ -0,0 +1,24 @@
+import { getStore } from "@netlify/blobs";
+import { authorize, readAudit } from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Audit log of exports and status changes, newest first (admins only).
+// ?limit=100 (max 500) and ?before=<ISO timestamp> page back through it.
+export default async (req, context) => {
+  const auth = authorize(req, 'audit');
+  if (auth.error) {
+    return json({ error: auth.error }, auth.status);
+  }
+
+  const url = new URL(req.url);
+  const entries = await readAudit(getStore('audit'), {
+    limit: parseInt(url.searchParams.get('limit'), 10) || undefined,
+    before: url.searchParams.get('before') || undefined
+  });
+
+  return json({ entries });
+};
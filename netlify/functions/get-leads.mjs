@@ -1,68 +1,106 @@
 import { getStore } from "@netlify/blobs";
+import {
+  authorize,
+  auditEntry,
+  writeAudit,
+  getExportColumns,
+  CRM_PROFILES,
+  EXPORT_FORMATS,
+  exportLeads,
+  createLeadStore,
+  parseLeadQuery,
+  isLeadQuery,
+  filterLeads,
+  leadFacets,
+  queryLeads,
+  mapLeads,
+  MAX_MAP_PINS
+} from "../../lib/index.js";
 
-const PASSWORD = "ztas.io";
+const deny = ({ status, error }) => new Response(JSON.stringify({ error }), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
 
 export default async (req, context) => {
   const url = new URL(req.url);
-
-  // Check password
-  const pass = url.searchParams.get('password') || req.headers.get('x-password');
-  if (pass !== PASSWORD) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-      status: 401,
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }
-
-  const store = getStore('leads');
   const format = url.searchParams.get('format') || 'json';
+  const crm = url.searchParams.get('crm');
+  const view = url.searchParams.get('view');
+  const query = isLeadQuery(url.searchParams) ? parseLeadQuery(url.searchParams) : null;
+
+  // A page of JSON, the map's pins or one lead's details is browsing;
+  // anything else is a bulk export (admins only)
+  const bulk = view !== 'map' && view !== 'lead' && (format !== 'json' || Boolean(crm) || !query);
+  const auth = authorize(req, bulk ? 'export' : 'browse');
+  if (auth.error) return deny(auth);
 
-  let leads = [];
-  try {
-    const data = await store.get('all-leads', { type: 'json' });
-    leads = data || [];
-  } catch {
-    leads = [];
+  if (!EXPORT_FORMATS.includes(format)) {
+    return deny({ status: 400, error: `Unknown format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})` });
+  }
+  if (crm && !CRM_PROFILES.includes(crm)) {
+    return deny({ status: 400, error: `Unknown crm "${crm}" (expected one of: ${CRM_PROFILES.join(', ')})` });
   }
 
-  if (format === 'csv') {
-    // Generate CSV
-    const headers = [
-      'Business Name', 'Category', 'Website', 'Phone', 'Email',
-      'Address', 'City', 'State', 'Has GA?', 'Has FB Pixel?',
-      'Scraped At', 'Source'
-    ];
+  // Queries and filters run on the index summaries; full leads are only
+  // loaded for an export
+  const leadStore = createLeadStore(getStore('leads'));
+  const summaries = await leadStore.summaries();
 
-    const escape = (field) => {
-      const str = String(field || '');
-      if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return `"${str.replace(/"/g, '""')}"`;
-      }
-      return str;
-    };
+  if (bulk) {
+    const keys = (query ? filterLeads(summaries, query) : summaries).map(s => s.key);
+    const exported = await leadStore.getLeads(keys);
+    let file;
+    try {
+      // ?owner= fills the CRM owner field
+      file = exportLeads(exported, format, { columns: getExportColumns(), crm, owner: url.searchParams.get('owner') || '' });
+    } catch (error) {
+      return deny({ status: 400, error: error.message });
+    }
 
-    const rows = leads.map(l => [
-      l.name, l.category, l.website, l.phone, l.email,
-      l.address, l.city, l.state,
-      l.hasGA ? 'YES' : '', l.hasFB ? 'YES' : '',
-      l.scrapedAt, l.source
-    ]);
+    const filters = query ? Object.fromEntries([...url.searchParams].filter(([name]) => !['format', 'crm', 'owner'].includes(name))) : {};
+    await writeAudit(getStore('audit'), auditEntry(auth.user, 'export', { format, ...(crm ? { crm } : {}), filters, count: exported.length }));
 
-    const csv = [
-      headers.map(escape).join(','),
-      ...rows.map(row => row.map(escape).join(','))
-    ].join('\n');
+    // Plain JSON (every lead, or CRM records) is shown inline; other formats
+    // download as a file. Filters apply to the download too, so "export what
+    // I'm looking at" works.
+    const headers = { 'Content-Type': file.contentType };
+    if (format !== 'json') {
+      headers['Content-Disposition'] = `attachment; filename="leads-${crm ? `${crm}-` : ''}${new Date().toISOString().split('T')[0]}.${file.extension}"`;
+    }
+    return new Response(file.body, { headers });
+  }
 
-    return new Response(csv, {
-      headers: {
-        'Content-Type': 'text/csv',
-        'Content-Disposition': `attachment; filename="leads-${new Date().toISOString().split('T')[0]}.csv"`
-      }
+  // Map: matches that have coordinates, with just what a pin shows, up to
+  // MAX_MAP_PINS
+  if (view === 'map') {
+    const matched = query ? filterLeads(summaries, query) : summaries;
+    const pins = mapLeads(matched);
+    return new Response(JSON.stringify({
+      total: matched.length,
+      withoutLocation: matched.length - pins.length,
+      truncated: pins.length > MAX_MAP_PINS,
+      leads: pins.slice(0, MAX_MAP_PINS)
+    }), {
+      headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  // Default: JSON
-  return new Response(JSON.stringify(leads, null, 2), {
+  // One lead's summary, for the map's details panel
+  if (view === 'lead') {
+    const lead = summaries.find(s => s.key === url.searchParams.get('key'));
+    if (!lead) return deny({ status: 404, error: 'Lead not found' });
+    return new Response(JSON.stringify({ lead }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Query: one page of matches, plus filter options when asked for
+  const result = queryLeads(summaries, query);
+  if (url.searchParams.get('facets') === '1') {
+    result.facets = leadFacets(summaries);
+  }
+  return new Response(JSON.stringify(result), {
     headers: { 'Content-Type': 'application/json' }
   });
 };
@@ -0,0 +1,32 @@
+import { getStore } from "@netlify/blobs";
+import { authorize, listRuns, getRun } from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Scrape run records. ?id=<run id> returns one run with every site's
+// outcome; otherwise run summaries, newest first, paged with ?limit=50
+// (max 200) and ?before=<ISO timestamp>.
+export default async (req, context) => {
+  const auth = authorize(req, 'browse');
+  if (auth.error) {
+    return json({ error: auth.error }, auth.status);
+  }
+
+  const store = getStore('runs');
+  const url = new URL(req.url);
+  const id = url.searchParams.get('id');
+
+  if (id) {
+    const run = await getRun(store, id);
+    return run ? json(run) : json({ error: 'Run not found (it may have been pruned)' }, 404);
+  }
+
+  const runs = await listRuns(store, {
+    limit: parseInt(url.searchParams.get('limit'), 10) || undefined,
+    before: url.searchParams.get('before') || undefined
+  });
+  return json({ runs });
+};
@@ -0,0 +1,47 @@
+import { getStore } from "@netlify/blobs";
+import {
+  authorize,
+  createLeadStore,
+  parseLeadQuery,
+  isLeadQuery,
+  INTERVALS,
+  leadAnalytics
+} from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Lead analytics for the dashboard's Analytics page: leads added per
+// ?interval=day|week (the last ?periods= of them), tracker breakdowns and
+// prevalence by category and city, website coverage and the outreach
+// funnel. Takes the get-leads filters to narrow the leads counted; only
+// category and city (the city scraped for) narrow the run-based numbers as
+// well.
+export default async (req, context) => {
+  const auth = authorize(req, 'browse');
+  if (auth.error) {
+    return json({ error: auth.error }, auth.status);
+  }
+
+  const url = new URL(req.url);
+  const interval = url.searchParams.get('interval') || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return json({ error: `interval must be one of: ${INTERVALS.join(', ')}` }, 400);
+  }
+
+  const query = isLeadQuery(url.searchParams) ? parseLeadQuery(url.searchParams) : null;
+  const summaries = await createLeadStore(getStore('leads')).summaries();
+
+  let state = {};
+  try {
+    state = (await getStore('state').get('rotation', { type: 'json' })) || {};
+  } catch {}
+
+  return json(leadAnalytics(summaries, state, {
+    interval,
+    periods: url.searchParams.get('periods'),
+    query
+  }));
+};
@@ -1,15 +1,20 @@
 import { getStore } from "@netlify/blobs";
-
-const PASSWORD = "ztas.io";
+import {
+  authorize,
+  hasPermission,
+  PERMISSIONS,
+  createLeadStore,
+  createJobQueue,
+  loadRotationConfig,
+  planQueue,
+  getMapSettings
+} from "../../lib/index.js";
 
 export default async (req, context) => {
-  const url = new URL(req.url);
-
-  // Check password
-  const pass = url.searchParams.get('password') || req.headers.get('x-password');
-  if (pass !== PASSWORD) {
-    return new Response(JSON.stringify({ error: 'Unauthorized' }), {
-      status: 401,
+  const auth = authorize(req, 'browse');
+  if (auth.error) {
+    return new Response(JSON.stringify({ error: auth.error }), {
+      status: auth.status,
       headers: { 'Content-Type': 'application/json' }
     });
   }
@@ -18,12 +23,15 @@ export default async (req, context) => {
   const stateStore = getStore('state');
 
   let leads = [];
-  let state = { cityIndex: 0, categoryIndex: 0, totalRuns: 0 };
+  let state = { totalRuns: 0 };
+  let nextRun = null;
+  let queue = [];
+  let jobs = [];
   let history = [];
 
+  // Index summaries are all the stats need
   try {
-    const leadsData = await store.get('all-leads', { type: 'json' });
-    leads = leadsData || [];
+    leads = await createLeadStore(store).summaries();
   } catch {
     leads = [];
   }
@@ -38,23 +46,57 @@ export default async (req, context) => {
     history = historyData || [];
   } catch {}
 
+  // Jobs waiting for or being worked on by a worker
+  try {
+    jobs = (await createJobQueue(getStore('jobs')).list()).map(job => ({
+      city: job.city.name,
+      category: job.category.name,
+      status: job.status,
+      createdAt: job.createdAt,
+      attempts: job.attempts,
+      sitesChecked: job.offset,
+      sitesTotal: job.businesses ? job.businesses.length : null,
+      leadsFound: job.leadsFound,
+      error: job.error
+    }));
+  } catch {}
+
+  // What the scheduler will queue next, in order
+  try {
+    const { config } = await loadRotationConfig(stateStore);
+    queue = planQueue(config, state, { history, limit: 20 });
+    nextRun = queue.length > 0 ? { city: queue[0].city, category: queue[0].category } : null;
+  } catch {}
+
   // Calculate stats
+  const recentlyChanged = leads
+    .filter(l => l.trackersChangedAt)
+    .sort((a, b) => b.trackersChangedAt.localeCompare(a.trackersChangedAt))
+    .slice(0, 10);
   const citiesScraped = new Set(leads.map(l => l.scrapedCity)).size;
   const withGA = leads.filter(l => l.hasGA).length;
   const withFB = leads.filter(l => l.hasFB).length;
   const withTracking = leads.filter(l => l.hasGA || l.hasFB).length;
 
   return new Response(JSON.stringify({
+    user: {
+      name: auth.user.name,
+      role: auth.user.role,
+      permissions: Object.keys(PERMISSIONS).filter(action => hasPermission(auth.user, action))
+    },
     totalLeads: leads.length,
     citiesScraped,
     withGA,
     withFB,
     withTracking,
-    nextCityIndex: state.cityIndex,
-    nextCategoryIndex: state.categoryIndex,
-    totalRuns: state.totalRuns,
+    nextRun,
+    queue,
+    jobs,
+    totalRuns: state.totalRuns || 0,
     recentLeads: leads.slice(-20).reverse(),
-    history: history.slice(0, 20)
+    recentlyChanged,
+    history: history.slice(0, 20),
+    map: getMapSettings()
   }, null, 2), {
     headers: { 'Content-Type': 'application/json' }
   });
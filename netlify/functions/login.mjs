@@ -0,0 +1,66 @@
+import { getStore } from "@netlify/blobs";
+import crypto from "node:crypto";
+import {
+  getAuthConfig,
+  checkLogin,
+  createSessionCookie,
+  loginBlockedFor,
+  recordLoginFailure
+} from "../../lib/index.js";
+
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers }
+});
+
+// Dashboard login. POST { username, password }; sets the session cookie.
+// Failed attempts are counted per IP + username in the "auth" blob store.
+export default async (req, context) => {
+  if (req.method !== 'POST') {
+    return json({ error: 'Use POST' }, 405);
+  }
+
+  const config = getAuthConfig();
+  if (!config.secret || config.users.size === 0) {
+    console.error('Login disabled: set SESSION_SECRET and LEAD_USERS');
+    return json({ error: 'Login is not configured' }, 503);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return json({ error: 'Body must be JSON' }, 400);
+  }
+
+  const username = String((body && body.username) || '');
+  const password = String((body && body.password) || '');
+
+  const authStore = getStore('auth');
+  const attemptKey = `login-attempts/${crypto.createHash('sha256').update(`${context.ip || ''}|${username.toLowerCase()}`).digest('hex')}`;
+
+  let attempts = null;
+  try {
+    attempts = await authStore.get(attemptKey, { type: 'json' });
+  } catch {}
+
+  const wait = loginBlockedFor(attempts);
+  if (wait > 0) {
+    return json({ error: 'Too many failed logins; try again later' }, 429, {
+      'Retry-After': String(Math.ceil(wait / 1000))
+    });
+  }
+
+  const user = checkLogin(username, password, config);
+  if (!user) {
+    await authStore.setJSON(attemptKey, recordLoginFailure(attempts));
+    console.log(`Failed login for "${username}" from ${context.ip || 'unknown IP'}`);
+    return json({ error: 'Invalid username or password' }, 401);
+  }
+
+  if (attempts) await authStore.delete(attemptKey);
+
+  return json({ success: true, user: user.name }, 200, {
+    'Set-Cookie': createSessionCookie(user.name, config)
+  });
+};
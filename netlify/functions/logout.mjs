@@ -0,0 +1,11 @@
+import { clearSessionCookie } from "../../lib/index.js";
+
+// Clear the dashboard session cookie
+export default async (req, context) => {
+  return new Response(JSON.stringify({ success: true }), {
+    headers: {
+      'Content-Type': 'application/json',
+      'Set-Cookie': clearSessionCookie()
+    }
+  });
+};
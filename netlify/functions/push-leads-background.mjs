@@ -0,0 +1,91 @@
+import { getStore } from "@netlify/blobs";
+import {
+  isWorkerRequest,
+  updateJSON,
+  auditEntry,
+  writeAudit,
+  createLeadStore,
+  parseLeadQuery,
+  isLeadQuery,
+  filterLeads,
+  pushLeads
+} from "../../lib/index.js";
+
+// Progress is saved at most this often, and only this many errors are kept
+const PROGRESS_INTERVAL = 5000;
+const MAX_ERRORS = 100;
+
+// Background CRM push, started by push-leads (X-Worker-Token) with the id of
+// a push it recorded. Loads the leads matching the push's filters, upserts
+// them into CRM_PUSH_URL and saves progress and the result on the record.
+export default async (req, context) => {
+  if (!isWorkerRequest(req)) {
+    console.error('Push request rejected: no worker token');
+    return;
+  }
+
+  const store = getStore('crm-pushes');
+  const id = new URL(req.url).searchParams.get('id') || '';
+  // Claim the push with a conditional write, so a retried invocation can't
+  // start it a second time
+  let claimed = false;
+  let push = id ? await updateJSON(store, id, current => {
+    claimed = Boolean(current) && current.status === 'queued';
+    return claimed ? { ...current, status: 'running', startedAt: new Date().toISOString() } : undefined;
+  }) : null;
+  if (!claimed) {
+    console.error(`Push ${id} not found or already started`);
+    return;
+  }
+
+  // Only the claiming invocation writes the push from here on
+  const save = changes => {
+    push = { ...push, ...changes };
+    return store.setJSON(id, push);
+  };
+
+  try {
+    const params = new URLSearchParams(push.filters);
+    const query = isLeadQuery(params) ? parseLeadQuery(params) : null;
+    const leadStore = createLeadStore(getStore('leads'));
+    const summaries = await leadStore.summaries();
+    const keys = (query ? filterLeads(summaries, query) : summaries).map(s => s.key);
+    const leads = await leadStore.getLeads(keys);
+
+    let savedAt = Date.now();
+    const result = await pushLeads(leads, {
+      url: process.env.CRM_PUSH_URL,
+      token: process.env.CRM_PUSH_TOKEN,
+      profile: push.profile,
+      owner: process.env.CRM_PUSH_OWNER,
+      log: msg => console.log(msg),
+      onProgress: async ({ created, updated, skipped, failed }) => {
+        if (Date.now() - savedAt < PROGRESS_INTERVAL) return;
+        savedAt = Date.now();
+        await save({ progress: { created, updated, skipped, failed } });
+      }
+    });
+
+    const { errors, ...counts } = result;
+    await save({
+      status: 'done',
+      finishedAt: new Date().toISOString(),
+      total: leads.length,
+      progress: counts,
+      result: { ...counts, errors: errors.slice(0, MAX_ERRORS) }
+    });
+    console.log(`Push ${id}: ${counts.created} created, ${counts.updated} updated, ${counts.skipped} skipped, ${counts.failed} failed`);
+
+    await writeAudit(getStore('audit'), auditEntry(push.user, 'push', {
+      profile: push.profile,
+      filters: push.filters,
+      count: leads.length,
+      created: counts.created,
+      updated: counts.updated,
+      failed: counts.failed
+    }));
+  } catch (error) {
+    console.error(`Push ${id} failed:`, error);
+    await save({ status: 'failed', finishedAt: new Date().toISOString(), error: error.message });
+  }
+};
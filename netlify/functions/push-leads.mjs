@@ -0,0 +1,76 @@
+import { getStore } from "@netlify/blobs";
+import crypto from "node:crypto";
+import {
+  authorize,
+  createLeadStore,
+  parseLeadQuery,
+  isLeadQuery,
+  filterLeads,
+  CRM_PROFILES,
+  startWorker,
+  workerToken,
+  updateJSON
+} from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Push leads to the CRM endpoint in CRM_PUSH_URL (admins), upserting by
+// website domain. One request per lead doesn't fit in a synchronous
+// function, so this only records the push in the `crm-pushes` store and
+// hands it to push-leads-background.
+// POST with the get-leads filters in the query string: 202 { id, total }.
+// GET ?id=: the push's { status, total, progress, result, error, ... }.
+export default async (req, context) => {
+  const auth = authorize(req, 'export');
+  if (auth.error) return json({ error: auth.error }, auth.status);
+
+  const store = getStore('crm-pushes');
+  const url = new URL(req.url);
+
+  if (req.method === 'GET') {
+    const push = await store.get(url.searchParams.get('id') || '', { type: 'json' });
+    return push ? json(push) : json({ error: 'Push not found' }, 404);
+  }
+  if (req.method !== 'POST') {
+    return json({ error: 'Use GET or POST' }, 405);
+  }
+
+  if (!process.env.CRM_PUSH_URL) {
+    return json({ error: 'CRM push is not set up: set CRM_PUSH_URL' }, 501);
+  }
+  const profile = process.env.CRM_PUSH_PROFILE || 'hubspot';
+  if (!CRM_PROFILES.includes(profile)) {
+    return json({ error: `CRM_PUSH_PROFILE must be one of: ${CRM_PROFILES.join(', ')}` }, 500);
+  }
+
+  const query = isLeadQuery(url.searchParams) ? parseLeadQuery(url.searchParams) : null;
+  const summaries = await createLeadStore(getStore('leads')).summaries();
+  const total = (query ? filterLeads(summaries, query) : summaries).length;
+
+  const id = `${new Date().toISOString()}-${crypto.randomBytes(4).toString('hex')}`;
+  const push = {
+    id,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    user: { name: auth.user.name, role: auth.user.role, via: auth.user.via },
+    profile,
+    filters: Object.fromEntries(url.searchParams),
+    total,
+    progress: null,
+    result: null,
+    error: null
+  };
+  await store.setJSON(id, push);
+
+  if (!(await startWorker(process.env.URL, workerToken(), { name: 'push-leads-background', params: { id } }))) {
+    // Unless the start only looked failed and the push got claimed after all
+    await updateJSON(store, id, current => current && current.status === 'queued'
+      ? { ...current, status: 'failed', error: 'Background function unavailable' }
+      : undefined);
+    return json({ error: 'Could not start the push: background functions are unavailable (is SESSION_SECRET set?)' }, 503);
+  }
+  return json({ id, total }, 202);
+};
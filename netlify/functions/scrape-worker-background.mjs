@@ -0,0 +1,68 @@
+import { getStore } from "@netlify/blobs";
+import {
+  authorize,
+  isWorkerRequest,
+  loadRotationConfig,
+  scheduleSettings,
+  createJobQueue,
+  createLeadStore,
+  processQueue,
+  recheckLeads,
+  startWorker,
+  workerToken,
+  webhookNotifier
+} from "../../lib/index.js";
+
+// Background functions get 15 minutes; stop taking new chunks well before,
+// since one chunk can take a couple of minutes
+const BUDGET = 12 * 60 * 1000;
+
+// Background worker: runs queued scrape jobs, checkpointing as it goes, then
+// spends any time left re-checking stale leads. Started by the scheduled
+// function (X-Worker-Token) or by an admin. If jobs are left when time runs
+// out, it starts the next worker itself.
+export default async (req, context) => {
+  const started = Date.now();
+  if (!isWorkerRequest(req) && authorize(req, 'config').error) {
+    console.error('Worker request rejected: no worker token or admin session');
+    return;
+  }
+
+  const stateStore = getStore('state');
+  const leadStore = createLeadStore(getStore('leads'));
+  const deadline = started + BUDGET;
+  const { config } = await loadRotationConfig(stateStore);
+  const settings = scheduleSettings(config);
+
+  // Sites upgraded from the single `all-leads` blob: copy what fits first
+  await leadStore.migrateLegacy({ deadline, log: msg => console.log(msg) });
+
+  const summary = await processQueue({
+    queue: createJobQueue(getStore('jobs')),
+    leadStore,
+    stateStore,
+    runStore: getStore('runs'),
+    runRetentionDays: settings.runRetentionDays,
+    notify: webhookNotifier(stateStore, { log: msg => console.log(msg) }),
+    deadline,
+    log: msg => console.log(msg)
+  });
+  console.log(`Worker done: ${summary.finished} jobs finished, ${summary.failed} failed, ${summary.leadsFound} new leads, ${summary.remaining} still queued`);
+
+  if (Date.now() < deadline) {
+    const rechecked = await recheckLeads({
+      leadStore,
+      recheckDays: settings.recheckDays,
+      deadline,
+      log: msg => console.log(msg)
+    });
+    console.log(`Re-checked ${rechecked.checked} leads: ${rechecked.changed} changed trackers, ${rechecked.failed} unreachable, ${rechecked.unsaved} not saved, ${rechecked.remaining} still due`);
+  }
+
+  // Out of time with jobs left: carry on in a fresh invocation. A worker
+  // that stopped early found nothing it could claim, so it doesn't.
+  if (summary.remaining > 0 && Date.now() - started >= BUDGET) {
+    const next = await startWorker(process.env.URL, workerToken());
+    console.log(next ? 'Started another worker for the rest of the queue' : 'Could not start another worker; the next scheduled run will');
+  }
+};
@@ -0,0 +1,70 @@
+import { getStore } from "@netlify/blobs";
+import {
+  LEAD_STATUSES,
+  authorize,
+  auditEntry,
+  writeAudit,
+  getLeadStatus,
+  setLeadStatus,
+  createLeadStore
+} from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Set a lead's outreach status and/or log a note.
+// POST { key, status?, note? } where key is the lead's name + city key.
+export default async (req, context) => {
+  const auth = authorize(req, 'updateStatus');
+  if (auth.error) {
+    return json({ error: auth.error }, auth.status);
+  }
+  const { user } = auth;
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Use POST' }, 405);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return json({ error: 'Body must be JSON' }, 400);
+  }
+
+  if (!body || !body.key) {
+    return json({ error: 'Missing lead key' }, 400);
+  }
+  if (body.status && !LEAD_STATUSES.includes(body.status)) {
+    return json({ error: `Unknown status "${body.status}"`, statuses: LEAD_STATUSES }, 400);
+  }
+
+  // Conditional read-modify-write of just this lead, so a concurrent
+  // scrape or another status change can't be lost
+  let from;
+  let lead;
+  try {
+    lead = await createLeadStore(getStore('leads')).updateLead(body.key, stored => {
+      from = getLeadStatus(stored);
+      setLeadStatus(stored, { status: body.status, note: body.note, by: user.name });
+    });
+  } catch (error) {
+    return json({ error: error.message }, error.conflict ? 409 : 400);
+  }
+
+  if (!lead) {
+    return json({ error: 'Lead not found' }, 404);
+  }
+
+  await writeAudit(getStore('audit'), auditEntry(user, 'status', {
+    key: body.key,
+    lead: lead.name,
+    from,
+    to: lead.status,
+    note: body.note || undefined
+  }));
+
+  return json({ success: true, key: body.key, lead });
+};
@@ -0,0 +1,86 @@
+import { getStore } from "@netlify/blobs";
+import {
+  authorize,
+  auditEntry,
+  writeAudit,
+  loadWebhookConfig,
+  saveWebhookConfig,
+  redactWebhookConfig,
+  sendWebhook
+} from "../../lib/index.js";
+
+const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// A made-up run and lead for test deliveries
+const testEvent = () => {
+  const now = new Date().toISOString();
+  return {
+    type: 'leads',
+    run: { id: `test-${now}`, city: 'Austin, TX', category: 'lawyers', startedAt: now, finishedAt: now, status: 'ok', error: null },
+    leads: [{
+      name: 'Test Law Office',
+      category: 'lawyers',
+      website: 'https://example.com',
+      city: 'Austin',
+      state: 'TX',
+      scrapedCity: 'Austin, TX',
+      scrapedAt: now,
+      hasGA: true,
+      hasFB: false,
+      trackers: ['ga']
+    }]
+  };
+};
+
+// Outgoing webhooks (admins only). Secrets are never sent back.
+// GET: { config, etag } with `hasSecret` in place of each secret.
+// PUT { config, etag }: validate and save; a target without `secret` keeps
+// its old one.
+// POST { id }: send a test leads event to one saved target.
+export default async (req, context) => {
+  const auth = authorize(req, 'config');
+  if (auth.error) return json({ error: auth.error }, auth.status);
+
+  const stateStore = getStore('state');
+
+  if (req.method === 'GET') {
+    const loaded = await loadWebhookConfig(stateStore);
+    return json({ ...loaded, config: redactWebhookConfig(loaded.config) });
+  }
+
+  if (req.method !== 'PUT' && req.method !== 'POST') {
+    return json({ error: 'Use GET, PUT or POST' }, 405);
+  }
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return json({ error: 'Body must be JSON' }, 400);
+  }
+
+  if (req.method === 'POST') {
+    const { config } = await loadWebhookConfig(stateStore);
+    const target = config.targets.find(t => t.id === (body && body.id));
+    if (!target) return json({ error: 'No saved webhook with that id' }, 404);
+    return json(await sendWebhook(target, testEvent(), { retries: 0 }));
+  }
+
+  let saved;
+  try {
+    saved = await saveWebhookConfig(stateStore, body && body.config, { etag: body && body.etag, user: auth.user });
+  } catch (error) {
+    if (error.conflict) return json({ error: error.message }, 409);
+    return json({ error: error.message, errors: error.errors }, 400);
+  }
+
+  await writeAudit(getStore('audit'), auditEntry(auth.user, 'webhooks', {
+    targets: saved.config.targets.length,
+    enabled: saved.config.targets.filter(t => t.enabled).length
+  }));
+
+  return json({ ...saved, config: redactWebhookConfig(saved.config) });
+};
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Generate dashboard credentials for the Netlify environment variables
+ *
+ * Usage:
+ *   node scripts/auth-secret.js user <name> [role]    Prompt for a password, print a LEAD_USERS entry
+ *   node scripts/auth-secret.js token <name> [role]   Create an API token, print it and its LEAD_API_TOKENS entry
+ *   node scripts/auth-secret.js session               Print a random SESSION_SECRET
+ *
+ * Roles: viewer (default), sales, admin.
+ */
+
+const readline = require('readline');
+const { ROLES, hashPassword, hashToken, generateToken } = require('../lib');
+
+function usage() {
+  console.log(`
+Usage:
+  node scripts/auth-secret.js user <name> [role]    Prompt for a password, print a LEAD_USERS entry
+  node scripts/auth-secret.js token <name> [role]   Create an API token, print it and its LEAD_API_TOKENS entry
+  node scripts/auth-secret.js session               Print a random SESSION_SECRET
+
+Roles: ${ROLES.join(', ')} (default: viewer)
+Join several entries with commas, e.g. LEAD_USERS="alice:admin:scrypt$...,bob:sales:scrypt$..."
+`);
+}
+
+// Read a password without echoing it
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: Boolean(process.stdin.isTTY) });
+    rl._writeToOutput = text => {
+      if (text.includes(question)) process.stdout.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [kind, name, role = 'viewer'] = process.argv.slice(2);
+
+  if (kind === 'session') {
+    console.log(`SESSION_SECRET=${generateToken()}`);
+    return;
+  }
+
+  if ((kind !== 'user' && kind !== 'token') || !name || /[:,]/.test(name) || !ROLES.includes(role)) {
+    usage();
+    process.exit(1);
+  }
+
+  if (kind === 'token') {
+    const token = generateToken();
+    console.log(`Token (give this to the API client; it is not stored): ${token}`);
+    console.log(`LEAD_API_TOKENS entry: ${name}:${role}:${hashToken(token)}`);
+    return;
+  }
+
+  const password = await promptPassword(`Password for ${name}: `);
+  if (password.length < 12) {
+    console.error('Use at least 12 characters.');
+    process.exit(1);
+  }
+  console.log(`LEAD_USERS entry: ${name}:${role}:${hashPassword(password)}`);
+}
+
+main();
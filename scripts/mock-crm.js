@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock of a CRM REST endpoint, for trying out CRM push
+ *
+ * Usage:
+ *   node scripts/mock-crm.js [port]      Listen on http://localhost:<port>/records (default 4010)
+ *
+ * Speaks the protocol pushLeads() expects (lib/crm.js):
+ *   GET   /records?domain=<domain>  { results: [...] } matching records
+ *   GET   /records                  { results: [...] } every record
+ *   POST  /records                  create, 201 with the record
+ *   PATCH /records/<id>             merge fields into a record, 200
+ *
+ * Records are kept in memory and every request is logged. Set
+ * MOCK_CRM_TOKEN to require "Authorization: Bearer <token>".
+ */
+
+const http = require('http');
+
+const port = parseInt(process.argv[2], 10) || 4010;
+const token = process.env.MOCK_CRM_TOKEN;
+const records = new Map();
+let nextId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const [, collection, id] = url.pathname.split('/');
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return send(res, 401, { error: 'Bad or missing token' });
+  }
+  if (collection !== 'records') {
+    return send(res, 404, { error: 'Use /records' });
+  }
+
+  let body;
+  try {
+    body = req.method === 'POST' || req.method === 'PATCH' ? await readBody(req) : null;
+  } catch {
+    return send(res, 400, { error: 'Body must be JSON' });
+  }
+
+  if (req.method === 'GET' && !id) {
+    const domain = url.searchParams.get('domain');
+    return send(res, 200, { results: [...records.values()].filter(r => !domain || r.domain === domain) });
+  }
+  if (req.method === 'POST' && !id) {
+    const record = { ...body, id: String(nextId++) };
+    records.set(record.id, record);
+    console.log(`  created ${record.id}: ${record.domain}`);
+    return send(res, 201, record);
+  }
+  if (req.method === 'PATCH' && id) {
+    if (!records.has(id)) return send(res, 404, { error: `No record ${id}` });
+    const record = { ...records.get(id), ...body, id };
+    records.set(id, record);
+    console.log(`  updated ${id}: ${record.domain}`);
+    return send(res, 200, record);
+  }
+  send(res, 405, { error: 'Use GET, POST or PATCH' });
+});
+
+server.listen(port, () => {
+  console.log(`Mock CRM listening on http://localhost:${port}/records`);
+});